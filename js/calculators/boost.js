@@ -1,13 +1,21 @@
 'use strict';
 
 /**
- * Boost Converter Calculator (v1.1.0)
+ * Boost Converter Calculator (v1.7.0)
  *
  * Provides functionality to calculate boost converter parameters such as:
  * - Duty cycle
  * - On time (Ton)
  * - Inductor current ripple (iL(p-p))
  * - Average inductor current (IL(avg))
+ * - Output voltage ripple, Cout/Cin RMS current and minimum Cout for a ripple spec
+ * - Control loop: RHP zero, LC double pole, ESR zero and Type II / Type III
+ *   compensator values for a target crossover and phase margin
+ * - Synchronous FET or Schottky diode rectifier
+ * - Switch drops derived from Rds(on), inductor DCR and load current, with the
+ *   resulting conduction losses and efficiency
+ * - Sweep plot of any output against Iout, Vin, Fsw or L (via js/plot.js)
+ * - Worst-case corners and Monte Carlo spread over toleranced inputs (via js/tolerance.js)
  * 
  * This module is designed to automatically update all performance metrics
  * in response to user input, providing an instantaneous calculation experience.
@@ -17,10 +25,42 @@
  * - Inductor Current Ripple: ΔiL = ((Vin - Vdsh) * D) / (L * fsw)
  * - Average Inductor Current: IL_avg = Iout / (1-D)
  * - On Time: Ton = D / fsw
+ *
+ * Switch Drops (IL_avg depends on D, so D is solved iteratively):
+ * - Switch: Vdsh = IL_avg · (Rds(on)HS + DCR)
+ * - Synchronous FET Rectifier: Vdsl = IL_avg · (Rds(on)LS + DCR)
+ * - Schottky Diode Rectifier: Vdsl = Vf + IL_avg · DCR
+ *
+ * Conduction Losses:
+ * - Switch: I²rms(HS) · Rds(on)HS
+ * - Rectifier: I²rms(LS) · Rds(on)LS, or Vf · Iout + Qrr · Vout · fsw for a diode
+ * - Inductor DCR: I²rms(L) · DCR
+ * - Efficiency: Vout · Iout / (Vout · Iout + total)
+ *
+ * Output Capacitor (Ceff = Cout · (1 - DC-bias derating)):
+ * - Capacitive Ripple: ΔVc = Iout · D / (fsw · Ceff)  (Cout alone feeds the load during Ton)
+ * - ESR Ripple: ΔVesr = ESR · (IL_avg + ΔiL/2)  (step when the diode starts conducting)
+ * - ESL Ripple: ΔVesl = ESL · ΔiL · fsw / (1-D)
+ * - RMS Currents: Icout = √(Idiode_rms² - Iout²), Icin = ΔiL / √12
+ * - Minimum Cout: Iout · D / fsw / (ΔVspec - ΔVesr - ΔVesl) / (1 - derating)
+ *
+ * Control Loop (voltage mode, CCM, R = Vout / Iout, C = Ceff):
+ * - RHP Zero: fRHPZ = (1-D)² · R / (2π · L)
+ * - Double Pole: f0 = (1-D) / (2π · √(L · C)), Q = (1-D) · R · √(C / L)
+ * - ESR Zero: fESR = 1 / (2π · ESR · C)
+ * - Plant: Gvd(s) = Vout/(1-D) · (1 + s/ωesr)(1 - s/ωrhpz) / (1 + s/(Q·ω0) + s²/ω0²),
+ *   modulator gain 1 / Vramp
+ * - Compensator (Venable K-factor, R1 = upper feedback resistor):
+ *   boost = PM - plant phase - 90°,
+ *   Type II: K = tan(boost/2 + 45°), C2 = 1/(2π·fc·G·K·R1), C1 = C2·(K²-1), R2 = K/(2π·fc·C1)
+ *   Type III: K = tan²(boost/4 + 45°), C2 = 1/(2π·fc·G·R1), C1 = C2·(K-1),
+ *   R2 = √K/(2π·fc·C1), R3 = R1/(K-1), C3 = 1/(2π·fc·√K·R3)
+ *   where G is the compensator gain needed at fc (1 / |plant · modulator|)
  * 
  * Usage:
  * - The main function `calculateAllBoostMetrics` is triggered on any input change.
- * - Input values are obtained from the HTML form elements.
+ * - Input values are obtained from the HTML form elements by `readBoostInputs`.
+ * - `computeBoostMetrics` is pure (no DOM) so the sweep plot can reuse it.
  * - Results are displayed in the corresponding readonly output fields.
  */
 
@@ -58,6 +98,22 @@ function calculateBoostILavg(iout, dutyCycle) {
     return iout / denominator;
 }
 
+/**
+ * Derives the switch and rectifier path drops from the average inductor current.
+ *
+ * @param {Object} p - Values as returned by readBoostInputs()
+ * @param {number} ilavg - Average inductor current (A)
+ * @returns {{vdsh: number, vdsl: number}} - Drops (V), inductor DCR included
+ */
+function calculateBoostSwitchDrops(p, ilavg) {
+    const dcr = p.dcr / utils.constants.MILLI;
+    const vdsh = ilavg * (p.rdsh / utils.constants.MILLI + dcr);
+    const vdsl = p.rectType === 'diode'
+        ? p.diodeVf + ilavg * dcr
+        : ilavg * (p.rdsl / utils.constants.MILLI + dcr);
+    return { vdsh, vdsl };
+}
+
 function calculateBoostTon(dutyCycle, fsw) {
     const fswHz = utils.mhzToHz(fsw);
     if (fswHz === 0) return null;
@@ -66,79 +122,461 @@ function calculateBoostTon(dutyCycle, fsw) {
 }
 
 
-// --- Main Orchestration Function ---
+/**
+ * Calculates output ripple and capacitor currents for one operating point.
+ *
+ * @param {Object} p - Operating point and capacitor parameters
+ * @param {number} p.fsw - Switching frequency (MHz)
+ * @param {number} p.iout - Load current (A)
+ * @param {number} p.dutyCycle - Duty cycle (0-1)
+ * @param {number} p.ilpp - Inductor ripple (A)
+ * @param {number} p.ilavg - Average inductor current (A)
+ * @param {number|null} p.cout - Output capacitance, nameplate (µF)
+ * @param {number} p.esr - Output capacitor ESR (mΩ)
+ * @param {number} p.esl - Output capacitor ESL (nH)
+ * @param {number} p.cderate - Capacitance lost to DC bias (%)
+ * @param {number|null} p.vrippleSpec - Output ripple target (mV)
+ * @returns {Object} - Ripple parts (V), RMS currents (A) and minimum Cout (F)
+ */
+function calculateBoostCapacitors(p) {
+    const fswHz = utils.mhzToHz(p.fsw);
+    const esr = p.esr / utils.constants.MILLI;
+    const esl = p.esl / utils.constants.NANO;
+    const derating = 1 - p.cderate / 100;
+    const ipk = p.ilavg + p.ilpp / 2;
+    const ivalley = p.ilavg - p.ilpp / 2;
 
-function calculateAllBoostMetrics() {
-    // 1. Read all input values
-    const vin = utils.getValue('boost-vin');
-    const vout = utils.getValue('boost-vout');
-    const inductance = utils.getValue('boost-inductance');
-    const fsw = utils.getValue('boost-fsw');
-    const iout = utils.getValue('boost-iout');
-    // Default Vds values to 0 if not provided
-    const vdsh = utils.getValue('boost-vdsh') || 0;
-    const vdsl = utils.getValue('boost-vdsl') || 0;
-
-    // 2. Validate inputs silently
+    // Charge drawn from Cout while the switch is on
+    const charge = p.iout * p.dutyCycle / fswHz;
+
+    const ceff = p.cout !== null && p.cout > 0 ? p.cout / utils.constants.MICRO * derating : null;
+    const dvC = ceff !== null ? charge / ceff : null;
+    const dvEsr = ipk * esr;
+    const dvEsl = esl * p.ilpp * fswHz / (1 - p.dutyCycle);
+    const dvTotal = dvC !== null ? dvC + dvEsr + dvEsl : null;
+
+    const diodeMeanSquare = utils.segmentMeanSquare(1 - p.dutyCycle, ivalley, ipk);
+    const icoutRms = Math.sqrt(Math.max(0, diodeMeanSquare - p.iout * p.iout));
+    const icinRms = p.ilpp / Math.sqrt(12);
+
+    // Minimum nameplate Cout: capacitive share of the ripple budget, then derated
+    let coutMin = null;
+    let specUnreachable = false;
+    if (p.vrippleSpec !== null && p.vrippleSpec > 0) {
+        const budget = p.vrippleSpec / utils.constants.MILLI - dvEsr - dvEsl;
+        if (budget > 0 && derating > 0) {
+            coutMin = charge / budget / derating;
+        } else {
+            specUnreachable = true;
+        }
+    }
+
+    return { dvC, dvEsr, dvEsl, dvTotal, icoutRms, icinRms, coutMin, specUnreachable };
+}
+
+/**
+ * Calculates the boost power-stage poles/zeros and designs Type II and Type III
+ * compensators with the K-factor method.
+ *
+ * @param {Object} p - Operating point and loop targets
+ * @param {number} p.vout - Output voltage (V)
+ * @param {number} p.iout - Load current (A)
+ * @param {number} p.inductance - Inductance (µH)
+ * @param {number} p.dutyCycle - Duty cycle (0-1)
+ * @param {number|null} p.cout - Output capacitance, nameplate (µF)
+ * @param {number} p.cderate - Capacitance lost to DC bias (%)
+ * @param {number} p.esr - Output capacitor ESR (mΩ)
+ * @param {number|null} p.fc - Target crossover frequency (kHz)
+ * @param {number|null} p.pm - Target phase margin (degrees)
+ * @param {number|null} p.vramp - PWM ramp amplitude (V)
+ * @param {number|null} p.r1 - Upper feedback resistor (kΩ)
+ * @returns {Object|null} - Pole/zero frequencies (Hz), plant gain/phase at fc and
+ *   compensator designs, or null without Cout
+ */
+function calculateBoostControlLoop(p) {
+    if (p.cout === null || p.cout <= 0) return null;
+
+    const lH = p.inductance / utils.constants.MICRO;
+    const c = p.cout / utils.constants.MICRO * (1 - p.cderate / 100);
+    const esr = p.esr / utils.constants.MILLI;
+    const r = p.vout / p.iout;
+    const dPrime = 1 - p.dutyCycle;
+
+    const fRhpz = dPrime * dPrime * r / (2 * Math.PI * lH);
+    const f0 = dPrime / (2 * Math.PI * Math.sqrt(lH * c));
+    const q = dPrime * r * Math.sqrt(c / lH);
+    const fEsr = esr > 0 ? 1 / (2 * Math.PI * esr * c) : null;
+
+    const result = { fRhpz, f0, q, fEsr, plantGainDb: null, plantPhase: null, boost: null, typeII: null, typeIII: null, warnings: [] };
+
+    if (p.fc === null || p.fc <= 0 || p.pm === null || p.vramp === null || p.vramp <= 0 || p.r1 === null || p.r1 <= 0) {
+        return result;
+    }
+
+    const fc = p.fc * utils.constants.KILO;
+    const r1 = p.r1 * utils.constants.KILO;
+
+    // Plant magnitude and phase at fc, factor by factor so the phase stays unwrapped
+    const x = fc / f0;
+    const poleRe = 1 - x * x;
+    const poleIm = x / q;
+    const esrRatio = fEsr !== null ? fc / fEsr : 0;
+    const rhpzRatio = fc / fRhpz;
+    const magnitude = (p.vout / dPrime) / p.vramp
+        * Math.sqrt(1 + esrRatio * esrRatio)
+        * Math.sqrt(1 + rhpzRatio * rhpzRatio)
+        / Math.sqrt(poleRe * poleRe + poleIm * poleIm);
+    const phaseRad = Math.atan(esrRatio) - Math.atan(rhpzRatio) - Math.atan2(poleIm, poleRe);
+
+    result.plantGainDb = 20 * Math.log10(magnitude);
+    result.plantPhase = phaseRad * 180 / Math.PI;
+    result.boost = p.pm - result.plantPhase - 90;
+
+    const gain = 1 / magnitude;
+    const toRad = Math.PI / 180;
+    const wc = 2 * Math.PI * fc;
+
+    if (fc > fRhpz / 3) {
+        result.warnings.push('Crossover is above fRHPZ/3; lower fc or the phase margin will not hold.');
+    }
+    if (fc < f0) {
+        result.warnings.push('Crossover is below the LC double pole; the resonant peak may cross 0 dB again.');
+    }
+    if (result.boost <= 0) {
+        result.warnings.push('No phase boost is needed; a Type I integrator is sufficient.');
+        return result;
+    }
+
+    if (result.boost < 90) {
+        const k = Math.tan((result.boost / 2 + 45) * toRad);
+        const c2 = 1 / (wc * gain * k * r1);
+        const c1 = c2 * (k * k - 1);
+        result.typeII = { k, r2: k / (wc * c1), c1, c2 };
+    } else {
+        result.warnings.push('Type II cannot add 90° or more of phase boost; use Type III.');
+    }
+
+    if (result.boost < 180) {
+        const k = Math.pow(Math.tan((result.boost / 4 + 45) * toRad), 2);
+        const c2 = 1 / (wc * gain * r1);
+        const c1 = c2 * (k - 1);
+        const r3 = r1 / (k - 1);
+        result.typeIII = { k, r2: Math.sqrt(k) / (wc * c1), c1, c2, r3, c3: 1 / (wc * Math.sqrt(k) * r3) };
+    } else {
+        result.warnings.push('Required phase boost exceeds 180°; lower fc or the phase margin target.');
+    }
+
+    return result;
+}
+
+/**
+ * Calculates the rectifier conduction (and, for a diode, reverse-recovery) loss.
+ *
+ * @param {Object} p - Operating point and rectifier parameters
+ * @param {number} p.vout - Output voltage (V)
+ * @param {number} p.iout - Load current (A)
+ * @param {number} p.fsw - Switching frequency (MHz)
+ * @param {number} p.dutyCycle - Duty cycle (0-1)
+ * @param {number} p.ilpp - Inductor ripple (A)
+ * @param {number} p.ilavg - Average inductor current (A)
+ * @param {string} p.rectType - 'sync' (FET) or 'diode' (Schottky)
+ * @param {number} p.rdsl - Rectifier FET Rds(on) (mΩ)
+ * @param {number} p.diodeVf - Diode forward voltage (V)
+ * @param {number} p.qrr - Diode reverse-recovery charge (nC)
+ * @returns {number} - Rectifier loss (W)
+ */
+function calculateBoostRectifierLoss(p) {
+    if (p.rectType === 'diode') {
+        const qrr = p.qrr / utils.constants.NANO;
+        return p.diodeVf * p.iout + qrr * p.vout * utils.mhzToHz(p.fsw);
+    }
+    const ipk = p.ilavg + p.ilpp / 2;
+    const ivalley = p.ilavg - p.ilpp / 2;
+    return utils.segmentMeanSquare(1 - p.dutyCycle, ivalley, ipk) * p.rdsl / utils.constants.MILLI;
+}
+
+/**
+ * Calculates the conduction-loss breakdown and efficiency.
+ *
+ * @param {Object} p - Operating point (as for calculateBoostRectifierLoss) plus
+ *   p.rdsh (switch Rds(on), mΩ) and p.dcr (inductor DCR, mΩ)
+ * @returns {Object} - { switchConduction, rectifier, dcr, total } in W and efficiency (0-1)
+ */
+function calculateBoostLosses(p) {
+    const ipk = p.ilavg + p.ilpp / 2;
+    const ivalley = p.ilavg - p.ilpp / 2;
+
+    const switchConduction = utils.segmentMeanSquare(p.dutyCycle, ivalley, ipk) * p.rdsh / utils.constants.MILLI;
+    const rectifier = calculateBoostRectifierLoss(p);
+    const dcrLoss = utils.segmentMeanSquare(1, ivalley, ipk) * p.dcr / utils.constants.MILLI;
+
+    const total = switchConduction + rectifier + dcrLoss;
+    const pout = p.vout * p.iout;
+    const efficiency = pout + total > 0 ? pout / (pout + total) : null;
+
+    return { switchConduction, rectifier, dcr: dcrLoss, total, efficiency };
+}
+
+
+// --- Main Orchestration Functions ---
+
+const CAP_INPUT_IDS = ['boost-cout', 'boost-esr', 'boost-esl', 'boost-cderate', 'boost-vripple-spec'];
+
+const CAP_OUTPUT_IDS = [
+    'boost-dv-c', 'boost-dv-esr', 'boost-dv-esl', 'boost-dv-total',
+    'boost-icout-rms', 'boost-icin-rms', 'boost-cout-min'
+];
+
+const LOSS_OUTPUT_IDS = ['boost-pswitch', 'boost-prect', 'boost-pdcr', 'boost-ptotal'];
+
+const LOOP_INPUT_IDS = ['boost-fc', 'boost-pm', 'boost-vramp', 'boost-r1'];
+
+const LOOP_OUTPUT_IDS = [
+    'boost-frhpz', 'boost-f0', 'boost-fesr', 'boost-plant-gain', 'boost-plant-phase', 'boost-phase-boost',
+    'boost-t2-r2', 'boost-t2-c1', 'boost-t2-c2',
+    'boost-t3-r2', 'boost-t3-c1', 'boost-t3-c2', 'boost-t3-r3', 'boost-t3-c3'
+];
+
+let sweep = null;
+let tolerance = null;
+
+function readRectifierType() {
+    const select = document.getElementById('boost-rect-type');
+    return select ? select.value : 'sync';
+}
+
+function readBoostInputs() {
+    return {
+        vin: utils.getValue('boost-vin'),
+        vout: utils.getValue('boost-vout'),
+        inductance: utils.getValue('boost-inductance'),
+        fsw: utils.getValue('boost-fsw'),
+        iout: utils.getValue('boost-iout'),
+        rdsh: utils.getValue('boost-rdsh') || 0,
+        dcr: utils.getValue('boost-dcr') || 0,
+        rectType: readRectifierType(),
+        rdsl: utils.getValue('boost-rdsl') || 0,
+        diodeVf: utils.getValue('boost-diode-vf') || 0,
+        qrr: utils.getValue('boost-qrr') || 0,
+        cout: utils.getValue('boost-cout'),
+        esr: utils.getValue('boost-esr') || 0,
+        esl: utils.getValue('boost-esl') || 0,
+        cderate: utils.getValue('boost-cderate') || 0,
+        vrippleSpec: utils.getValue('boost-vripple-spec'),
+        fc: utils.getValue('boost-fc'),
+        pm: utils.getValue('boost-pm'),
+        vramp: utils.getValue('boost-vramp'),
+        r1: utils.getValue('boost-r1')
+    };
+}
+
+/**
+ * Computes every boost output for one operating point (no DOM access).
+ *
+ * @param {Object} inputs - Values as returned by readBoostInputs()
+ * @returns {Object} - { error } when the operating point is invalid, otherwise
+ *   { dutyCycle, ton, ilpp, ilavg, vdsh, vdsl, converged, losses, capacitors, control }
+ */
+function computeBoostMetrics(inputs) {
+    const { vin, vout, inductance, fsw, iout } = inputs;
+
+    // 1. Validate inputs silently
     const coreInputs = [vin, vout, inductance, fsw, iout];
     const coreInputNames = ['Input Voltage', 'Output Voltage', 'Inductance', 'Switching Freq', 'Load Current'];
 
+    if (!utils.validateInputs(coreInputs, coreInputNames, true)) {
+        return { error: 'Enter Vin, Vout, L, Fsw and Iout to calculate.' };
+    }
+
+    if (coreInputs.some(v => v <= 0)) {
+        return { error: 'Vin, Vout, L, Fsw and Iout must be positive values.' };
+    }
+
+    if (inputs.cderate < 0 || inputs.cderate >= 100) {
+        return { error: 'DC-bias derating must be between 0 and 100%.' };
+    }
+
+    // 2. Perform calculations in order of dependency
+    // The drops scale with IL(avg) = Iout / (1-D), so iterate D from the ideal-switch value
+    const idealDutyCycle = calculateBoostDutyCycle(vin, vout, 0, 0);
+    if (idealDutyCycle === null) {
+        return { error: 'Invalid operating point: ensure Vin < Vout and drops are reasonable.' };
+    }
+    const solution = utils.solveFixedPoint((d) => {
+        const ilavgEstimate = calculateBoostILavg(iout, d);
+        if (ilavgEstimate === null) return null;
+        const drops = calculateBoostSwitchDrops(inputs, ilavgEstimate);
+        return calculateBoostDutyCycle(vin, vout, drops.vdsh, drops.vdsl);
+    }, idealDutyCycle);
+
+    const dutyCycle = solution.value;
+    if (dutyCycle === null || dutyCycle >= 1) {
+        return { error: 'Invalid operating point: the switch and DCR drops are too large for this load.' };
+    }
+
+    const ilavg = calculateBoostILavg(iout, dutyCycle);
+    const { vdsh, vdsl } = calculateBoostSwitchDrops(inputs, ilavg);
+    const ilpp = calculateBoostIlpp(vin, vdsh, dutyCycle, inductance, fsw);
+
+    return {
+        dutyCycle,
+        ton: calculateBoostTon(dutyCycle, fsw),
+        ilpp,
+        ilavg,
+        vdsh,
+        vdsl,
+        converged: solution.converged,
+        losses: calculateBoostLosses({ ...inputs, dutyCycle, ilpp, ilavg }),
+        capacitors: calculateBoostCapacitors({ ...inputs, dutyCycle, ilpp, ilavg }),
+        control: calculateBoostControlLoop({ ...inputs, dutyCycle })
+    };
+}
+
+/**
+ * Maps one operating point to the values offered by the sweep plot and tolerance analysis
+ *
+ * @param {Object} inputs - Values as returned by readBoostInputs()
+ * @returns {Object|null} - Plottable outputs, or null if the point is invalid
+ */
+function evaluateBoostSweepPoint(inputs) {
+    const result = computeBoostMetrics(inputs);
+    if (result.error) return null;
+    return {
+        ilpp: result.ilpp,
+        duty: result.dutyCycle * 100,
+        ilavg: result.ilavg,
+        efficiency: result.losses.efficiency !== null ? result.losses.efficiency * 100 : null,
+        dvout: result.capacitors.dvTotal !== null ? result.capacitors.dvTotal * utils.constants.MILLI : null
+    };
+}
+
+function calculateAllBoostMetrics() {
     const errorEl = document.getElementById('boost-error');
     const setError = (msg) => { if (errorEl) errorEl.textContent = msg || ''; };
+    const loopWarningEl = document.getElementById('boost-loop-warning');
+    const setLoopWarning = (msg) => { if (loopWarningEl) loopWarningEl.textContent = msg || ''; };
     const clearOutputs = () => {
+        CAP_OUTPUT_IDS.forEach(id => utils.setValue(id, '', 2));
+        LOOP_OUTPUT_IDS.forEach(id => utils.setValue(id, '', 2));
         utils.setValue('boost-duty', '', 2);
         utils.setValue('boost-ton', '', 3);
         utils.setValue('boost-ilpp', '', 3);
         utils.setValue('boost-ilavg', '', 3);
+        utils.setValue('boost-vdsh', '', 3);
+        utils.setValue('boost-vdsl', '', 3);
+        LOSS_OUTPUT_IDS.forEach(id => utils.setValue(id, '', 1));
+        utils.setValue('boost-eff', '', 2);
     };
 
     setError('');
+    setLoopWarning('');
+    if (sweep) sweep.refresh();
+    if (tolerance) tolerance.refresh();
 
-    if (!utils.validateInputs(coreInputs, coreInputNames, true)) {
+    const result = computeBoostMetrics(readBoostInputs());
+    if (result.error) {
         clearOutputs();
-        setError('Enter Vin, Vout, L, Fsw and Iout to calculate.');
+        setError(result.error);
         return;
     }
 
-    if ([vin, vout, inductance, fsw, iout].some(v => v === null || v <= 0)) {
-        clearOutputs();
-        setError('Vin, Vout, L, Fsw and Iout must be positive values.');
-        return;
+    // Update the UI
+    utils.setValue('boost-duty', result.dutyCycle * 100, 2);
+    utils.setValue('boost-ton', result.ton, 3);
+    utils.setValue('boost-ilpp', result.ilpp, 3);
+    utils.setValue('boost-ilavg', result.ilavg, 3);
+    utils.setValue('boost-vdsh', result.vdsh, 3);
+    utils.setValue('boost-vdsl', result.vdsl, 3);
+    if (!result.converged) {
+        setError('Switch-drop iteration did not converge; results are approximate.');
     }
 
-    if (vin - vdsh <= 0) {
-        clearOutputs();
-        setError('Vin must be greater than Vds(hi).');
-        return;
-    }
+    const toMilliwatts = (w) => w * utils.constants.MILLI;
+    const losses = result.losses;
+    utils.setValue('boost-pswitch', toMilliwatts(losses.switchConduction), 1);
+    utils.setValue('boost-prect', toMilliwatts(losses.rectifier), 1);
+    utils.setValue('boost-pdcr', toMilliwatts(losses.dcr), 1);
+    utils.setValue('boost-ptotal', toMilliwatts(losses.total), 1);
+    utils.setValue('boost-eff', losses.efficiency !== null ? losses.efficiency * 100 : null, 2);
 
-    // 3. Perform calculations in order of dependency
-    const dutyCycle = calculateBoostDutyCycle(vin, vout, vdsh, vdsl);
-    
-    if (dutyCycle === null || dutyCycle >= 1) {
-        clearOutputs();
-        setError('Invalid operating point: ensure Vin < Vout and drops are reasonable.');
-        return;
+    const toMillivolts = (v) => v !== null ? v * utils.constants.MILLI : null;
+    const caps = result.capacitors;
+    utils.setValue('boost-dv-c', toMillivolts(caps.dvC), 2);
+    utils.setValue('boost-dv-esr', toMillivolts(caps.dvEsr), 2);
+    utils.setValue('boost-dv-esl', toMillivolts(caps.dvEsl), 2);
+    utils.setValue('boost-dv-total', toMillivolts(caps.dvTotal), 2);
+    utils.setValue('boost-icout-rms', caps.icoutRms, 3);
+    utils.setValue('boost-icin-rms', caps.icinRms, 3);
+    utils.setValue('boost-cout-min', caps.coutMin !== null ? caps.coutMin * utils.constants.MICRO : null, 2);
+    if (caps.specUnreachable) {
+        setError('Ripple spec is below the ESR + ESL ripple; more capacitance alone cannot meet it.');
     }
 
-    const ton = calculateBoostTon(dutyCycle, fsw);
-    const ilpp = calculateBoostIlpp(vin, vdsh, dutyCycle, inductance, fsw);
-    const ilavg = calculateBoostILavg(iout, dutyCycle);
+    displayBoostControlLoop(result.control, setLoopWarning);
+}
+
+function displayBoostControlLoop(control, setLoopWarning) {
+    LOOP_OUTPUT_IDS.forEach(id => utils.setValue(id, '', 2));
+    if (!control) return;
+
+    const toKhz = (f) => f !== null ? f / utils.constants.KILO : null;
+    const toKohm = (r) => r / utils.constants.KILO;
+    const toNf = (c) => c * utils.constants.NANO;
 
-    // 4. Update the UI
-    utils.setValue('boost-duty', dutyCycle * 100, 2);
-    utils.setValue('boost-ton', ton, 3);
-    utils.setValue('boost-ilpp', ilpp, 3);
-    utils.setValue('boost-ilavg', ilavg, 3);
+    utils.setValue('boost-frhpz', toKhz(control.fRhpz), 2);
+    utils.setValue('boost-f0', toKhz(control.f0), 2);
+    utils.setValue('boost-fesr', toKhz(control.fEsr), 2);
+    utils.setValue('boost-plant-gain', control.plantGainDb, 2);
+    utils.setValue('boost-plant-phase', control.plantPhase, 1);
+    utils.setValue('boost-phase-boost', control.boost, 1);
+
+    if (control.typeII) {
+        utils.setValue('boost-t2-r2', toKohm(control.typeII.r2), 3);
+        utils.setValue('boost-t2-c1', toNf(control.typeII.c1), 3);
+        utils.setValue('boost-t2-c2', toNf(control.typeII.c2), 4);
+    }
+    if (control.typeIII) {
+        utils.setValue('boost-t3-r2', toKohm(control.typeIII.r2), 3);
+        utils.setValue('boost-t3-c1', toNf(control.typeIII.c1), 3);
+        utils.setValue('boost-t3-c2', toNf(control.typeIII.c2), 4);
+        utils.setValue('boost-t3-r3', toKohm(control.typeIII.r3), 3);
+        utils.setValue('boost-t3-c3', toNf(control.typeIII.c3), 4);
+    }
+
+    setLoopWarning(control.warnings.join(' '));
 }
 
 
 // --- Event Listener Setup ---
 
+// Only the parameters of the selected rectifier are editable
+function updateRectifierFields() {
+    const isDiode = readRectifierType() === 'diode';
+    const setDisabled = (id, disabled) => {
+        const input = document.getElementById(id);
+        if (input) input.disabled = disabled;
+    };
+    setDisabled('boost-rdsl', isDiode);
+    setDisabled('boost-diode-vf', !isDiode);
+    setDisabled('boost-qrr', !isDiode);
+}
+
 function setupEventListeners() {
+    const rectSelect = document.getElementById('boost-rect-type');
+    if (rectSelect) {
+        rectSelect.addEventListener('change', () => {
+            updateRectifierFields();
+            calculateAllBoostMetrics();
+        });
+    }
+    updateRectifierFields();
+
     const boostInputIds = [
         'boost-vin', 'boost-vout', 'boost-inductance', 
-        'boost-fsw', 'boost-vdsh', 'boost-vdsl', 'boost-iout'
+        'boost-fsw', 'boost-iout', 'boost-rdsh', 'boost-dcr',
+        'boost-rdsl', 'boost-diode-vf', 'boost-qrr',
+        ...CAP_INPUT_IDS,
+        ...LOOP_INPUT_IDS
     ];
 
     boostInputIds.forEach(id => {
@@ -156,6 +594,50 @@ function setupEventListeners() {
 // --- Initialization ---
 function init() {
     setupEventListeners();
+
+    const outputs = [
+        { key: 'ilpp', label: 'iL(p-p)', unit: 'A' },
+        { key: 'duty', label: 'Duty Cycle', unit: '%' },
+        { key: 'ilavg', label: 'IL(avg)', unit: 'A' },
+        { key: 'efficiency', label: 'Efficiency', unit: '%' },
+        { key: 'dvout', label: 'ΔVout', unit: 'mV' }
+    ];
+
+    if (window.plot) {
+        sweep = window.plot.createSweep({
+            id: 'boost',
+            containerId: 'boost-sweep',
+            variables: [
+                { key: 'iout', label: 'Load Current', unit: 'A' },
+                { key: 'vin', label: 'Input Voltage', unit: 'V' },
+                { key: 'fsw', label: 'Switching Freq', unit: 'MHz' },
+                { key: 'inductance', label: 'Inductance', unit: 'µH' }
+            ],
+            outputs,
+            readInputs: readBoostInputs,
+            evaluate: evaluateBoostSweepPoint
+        });
+    }
+
+    if (window.tolerance) {
+        tolerance = window.tolerance.createToleranceAnalysis({
+            id: 'boost',
+            containerId: 'boost-tolerance',
+            variables: [
+                { key: 'vin', label: 'Input Voltage', unit: 'V' },
+                { key: 'vout', label: 'Output Voltage', unit: 'V' },
+                { key: 'iout', label: 'Load Current', unit: 'A' },
+                { key: 'fsw', label: 'Switching Freq', unit: 'MHz' },
+                { key: 'inductance', label: 'Inductance', unit: 'µH' },
+                { key: 'dcr', label: 'Inductor DCR', unit: 'mΩ' },
+                { key: 'cout', label: 'Cout', unit: 'µF' },
+                { key: 'esr', label: 'Cout ESR', unit: 'mΩ' }
+            ],
+            outputs,
+            readInputs: readBoostInputs,
+            evaluate: evaluateBoostSweepPoint
+        });
+    }
 }
 
 if (document.readyState === 'loading') {
@@ -1,7 +1,7 @@
 'use strict';
 
 /**
- * Inverting Buck-Boost Converter Calculator (v1.1.0)
+ * Inverting Buck-Boost Converter Calculator (v1.6.0)
  *
  * Provides functionality to automatically calculate buck-boost converter performance
  * metrics based on user-provided inputs. The inverting topology produces a
@@ -11,6 +11,31 @@
  * - Duty Cycle
  * - Average Inductor Current (IL(avg))
  * - Inductor Current Ripple (ΔIL)
+ * - Output Voltage Ripple, Cout/Cin RMS Current and Minimum Cout for a ripple spec
+ * - Switch and Rectifier Drops from Rds(on), inductor DCR and load current
+ *   (synchronous FET or Schottky diode rectifier)
+ * - Conduction Loss Breakdown and Efficiency
+ * - Sweep plot of any output against Iout, Vin, Fsw or L (via js/plot.js)
+ * - Worst-case corners and Monte Carlo spread over toleranced inputs (via js/tolerance.js)
+ *
+ * Switch Drops (IL(avg) depends on D, so D is solved iteratively):
+ * - Duty Cycle: D = (|Vout| + Vrect) / (Vin - Vsw + |Vout| + Vrect)
+ * - Inductor Ripple: ΔIL = (Vin - Vsw) · D / (fsw · L)
+ * - Switch: Vsw = IL(avg) · (Rds(on)sw + DCR)
+ * - Synchronous FET: Vrect = IL(avg) · (Rds(on) + DCR)
+ * - Schottky Diode: Vrect = Vf + IL(avg) · DCR
+ *
+ * Conduction Losses:
+ * - Switch: I²rms(sw) · Rds(on)sw
+ * - Rectifier: I²rms(rect) · Rds(on), or Vf · Iout + Qrr · (Vin + |Vout|) · fsw for a diode
+ * - Inductor DCR: I²rms(L) · DCR
+ *
+ * Output Capacitor (Ceff = Cout · (1 - DC-bias derating)):
+ * - Capacitive Ripple: ΔVc = Iout · D / (fsw · Ceff)
+ * - ESR Ripple: ΔVesr = ESR · (IL(avg) + ΔIL/2)
+ * - ESL Ripple: ΔVesl = ESL · ΔIL · fsw / (1-D)
+ * - RMS Currents: Icout = √(Idiode_rms² - Iout²), Icin = √(Iswitch_rms² - Iin²)
+ * - Minimum Cout: Iout · D / fsw / (ΔVspec - ΔVesr - ΔVesl) / (1 - derating)
  *
  * This module is designed to update all outputs instantaneously whenever a
  * user modifies an input value, providing a seamless and responsive experience.
@@ -20,16 +45,34 @@
 
 // --- Core Calculation Functions ---
 
-function calculateBuckBoostDutyCycle(vin, vout) {
+function calculateBuckBoostDutyCycle(vin, vout, vsw = 0, vrect = 0) {
     // For inverting buck-boost, Vout magnitude is used.
-    const voutMag = Math.abs(vout);
-    const denominator = vin + voutMag;
-    if (denominator < 1e-9) return null; // Avoid division by zero
+    // The rectifier drop adds to the voltage the inductor discharges into.
+    const voutMag = Math.abs(vout) + vrect;
+    const vinEff = vin - vsw;
+    const denominator = vinEff + voutMag;
+    if (vinEff <= 0 || denominator < 1e-9) return null; // Avoid division by zero
 
-    // Formula: D = Vout / (Vin + Vout)
+    // Formula: D = (Vout + Vrect) / (Vin - Vsw + Vout + Vrect)
     return voutMag / denominator;
 }
 
+/**
+ * Derives the switch and rectifier path drops from the average inductor current.
+ *
+ * @param {Object} p - Values as returned by readBuckBoostInputs()
+ * @param {number} ilAvg - Average inductor current (A)
+ * @returns {{vsw: number, vrect: number}} - Drops (V), inductor DCR included
+ */
+function calculateBuckBoostSwitchDrops(p, ilAvg) {
+    const dcr = p.dcr / utils.constants.MILLI;
+    const vsw = ilAvg * (p.rdsh / utils.constants.MILLI + dcr);
+    const vrect = p.rectType === 'diode'
+        ? p.diodeVf + ilAvg * dcr
+        : ilAvg * (p.rdsl / utils.constants.MILLI + dcr);
+    return { vsw, vrect };
+}
+
 function calculateBuckBoostILavg(iout, dutyCycle) {
     const denominator = 1 - dutyCycle;
     if (denominator < 1e-9) return null; // Avoid division by zero, D must be < 1
@@ -38,78 +81,328 @@ function calculateBuckBoostILavg(iout, dutyCycle) {
     return iout / denominator;
 }
 
-function calculateBuckBoostDeltaIL(vin, dutyCycle, inductance, fsw) {
+function calculateBuckBoostDeltaIL(vin, dutyCycle, inductance, fsw, vsw = 0) {
     const fswHz = utils.mhzToHz(fsw);
     const lH = inductance / utils.constants.MICRO;
     const denominator = fswHz * lH;
     if (denominator < 1e-9) return null;
 
-    // Formula: ΔIL = (Vin * D) / (fsw * L)
-    return (vin * dutyCycle) / denominator;
+    // Formula: ΔIL = ((Vin - Vsw) * D) / (fsw * L)
+    return ((vin - vsw) * dutyCycle) / denominator;
 }
 
 
-// --- Main Orchestration Function ---
+/**
+ * Calculates output ripple and capacitor currents for one operating point.
+ * Both capacitors see pulsed current: Cout while the diode is off, Cin while
+ * the switch is off.
+ *
+ * @param {Object} p - Operating point and capacitor parameters
+ * @param {number} p.fsw - Switching frequency (MHz)
+ * @param {number} p.iout - Load current (A)
+ * @param {number} p.dutyCycle - Duty cycle (0-1)
+ * @param {number} p.deltaIL - Inductor ripple (A)
+ * @param {number} p.ilAvg - Average inductor current (A)
+ * @param {number|null} p.cout - Output capacitance, nameplate (µF)
+ * @param {number} p.esr - Output capacitor ESR (mΩ)
+ * @param {number} p.esl - Output capacitor ESL (nH)
+ * @param {number} p.cderate - Capacitance lost to DC bias (%)
+ * @param {number|null} p.vrippleSpec - Output ripple target (mV)
+ * @returns {Object} - Ripple parts (V), RMS currents (A) and minimum Cout (F)
+ */
+function calculateBuckBoostCapacitors(p) {
+    const fswHz = utils.mhzToHz(p.fsw);
+    const esr = p.esr / utils.constants.MILLI;
+    const esl = p.esl / utils.constants.NANO;
+    const derating = 1 - p.cderate / 100;
+    const ipk = p.ilAvg + p.deltaIL / 2;
+    const ivalley = p.ilAvg - p.deltaIL / 2;
 
-function calculateAllBuckBoostMetrics() {
-    // 1. Read all input values
-    const vin = utils.getValue('ibb-vin');
-    const vout = utils.getValue('ibb-vout'); // Keep as positive magnitude from UI
-    const iout = utils.getValue('ibb-iout');
-    const inductance = utils.getValue('ibb-inductance');
-    const fsw = utils.getValue('ibb-fsw');
-
-    // 2. Validate inputs silently
+    // Charge drawn from Cout while the switch is on
+    const charge = p.iout * p.dutyCycle / fswHz;
+
+    const ceff = p.cout !== null && p.cout > 0 ? p.cout / utils.constants.MICRO * derating : null;
+    const dvC = ceff !== null ? charge / ceff : null;
+    const dvEsr = ipk * esr;
+    const dvEsl = esl * p.deltaIL * fswHz / (1 - p.dutyCycle);
+    const dvTotal = dvC !== null ? dvC + dvEsr + dvEsl : null;
+
+    const diodeMeanSquare = utils.segmentMeanSquare(1 - p.dutyCycle, ivalley, ipk);
+    const icoutRms = Math.sqrt(Math.max(0, diodeMeanSquare - p.iout * p.iout));
+    const iinAvg = p.dutyCycle * p.ilAvg;
+    const switchMeanSquare = utils.segmentMeanSquare(p.dutyCycle, ivalley, ipk);
+    const icinRms = Math.sqrt(Math.max(0, switchMeanSquare - iinAvg * iinAvg));
+
+    // Minimum nameplate Cout: capacitive share of the ripple budget, then derated
+    let coutMin = null;
+    let specUnreachable = false;
+    if (p.vrippleSpec !== null && p.vrippleSpec > 0) {
+        const budget = p.vrippleSpec / utils.constants.MILLI - dvEsr - dvEsl;
+        if (budget > 0 && derating > 0) {
+            coutMin = charge / budget / derating;
+        } else {
+            specUnreachable = true;
+        }
+    }
+
+    return { dvC, dvEsr, dvEsl, dvTotal, icoutRms, icinRms, coutMin, specUnreachable };
+}
+
+/**
+ * Calculates the rectifier conduction (and, for a diode, reverse-recovery) loss.
+ *
+ * @param {Object} p - Operating point and rectifier parameters
+ * @param {number} p.vin - Input voltage (V)
+ * @param {number} p.vout - Output voltage magnitude (V)
+ * @param {number} p.iout - Load current (A)
+ * @param {number} p.fsw - Switching frequency (MHz)
+ * @param {number} p.dutyCycle - Duty cycle (0-1)
+ * @param {number} p.deltaIL - Inductor ripple (A)
+ * @param {number} p.ilAvg - Average inductor current (A)
+ * @param {string} p.rectType - 'sync' (FET) or 'diode' (Schottky)
+ * @param {number} p.rdsl - Rectifier FET Rds(on) (mΩ)
+ * @param {number} p.diodeVf - Diode forward voltage (V)
+ * @param {number} p.qrr - Diode reverse-recovery charge (nC)
+ * @returns {number} - Rectifier loss (W)
+ */
+function calculateBuckBoostRectifierLoss(p) {
+    if (p.rectType === 'diode') {
+        const qrr = p.qrr / utils.constants.NANO;
+        return p.diodeVf * p.iout + qrr * (p.vin + Math.abs(p.vout)) * utils.mhzToHz(p.fsw);
+    }
+    const ipk = p.ilAvg + p.deltaIL / 2;
+    const ivalley = p.ilAvg - p.deltaIL / 2;
+    return utils.segmentMeanSquare(1 - p.dutyCycle, ivalley, ipk) * p.rdsl / utils.constants.MILLI;
+}
+
+/**
+ * Calculates the conduction-loss breakdown and efficiency.
+ *
+ * @param {Object} p - Operating point (as for calculateBuckBoostRectifierLoss) plus
+ *   p.rdsh (switch Rds(on), mΩ) and p.dcr (inductor DCR, mΩ)
+ * @returns {Object} - { switchConduction, rectifier, dcr, total } in W and efficiency (0-1)
+ */
+function calculateBuckBoostLosses(p) {
+    const ipk = p.ilAvg + p.deltaIL / 2;
+    const ivalley = p.ilAvg - p.deltaIL / 2;
+
+    const switchConduction = utils.segmentMeanSquare(p.dutyCycle, ivalley, ipk) * p.rdsh / utils.constants.MILLI;
+    const rectifier = calculateBuckBoostRectifierLoss(p);
+    const dcrLoss = utils.segmentMeanSquare(1, ivalley, ipk) * p.dcr / utils.constants.MILLI;
+
+    const total = switchConduction + rectifier + dcrLoss;
+    const pout = Math.abs(p.vout) * p.iout;
+    const efficiency = pout + total > 0 ? pout / (pout + total) : null;
+
+    return { switchConduction, rectifier, dcr: dcrLoss, total, efficiency };
+}
+
+
+// --- Main Orchestration Functions ---
+
+const CAP_INPUT_IDS = ['ibb-cout', 'ibb-esr', 'ibb-esl', 'ibb-cderate', 'ibb-vripple-spec'];
+
+const CAP_OUTPUT_IDS = [
+    'ibb-dv-c', 'ibb-dv-esr', 'ibb-dv-esl', 'ibb-dv-total',
+    'ibb-icout-rms', 'ibb-icin-rms', 'ibb-cout-min'
+];
+
+const LOSS_OUTPUT_IDS = ['ibb-pswitch', 'ibb-prect', 'ibb-pdcr', 'ibb-ptotal'];
+
+let sweep = null;
+let tolerance = null;
+
+function readRectifierType() {
+    const select = document.getElementById('ibb-rect-type');
+    return select ? select.value : 'sync';
+}
+
+function readBuckBoostInputs() {
+    return {
+        vin: utils.getValue('ibb-vin'),
+        vout: utils.getValue('ibb-vout'), // Keep as positive magnitude from UI
+        iout: utils.getValue('ibb-iout'),
+        inductance: utils.getValue('ibb-inductance'),
+        fsw: utils.getValue('ibb-fsw'),
+        rdsh: utils.getValue('ibb-rdsh') || 0,
+        dcr: utils.getValue('ibb-dcr') || 0,
+        rectType: readRectifierType(),
+        rdsl: utils.getValue('ibb-rdsl') || 0,
+        diodeVf: utils.getValue('ibb-diode-vf') || 0,
+        qrr: utils.getValue('ibb-qrr') || 0,
+        cout: utils.getValue('ibb-cout'),
+        esr: utils.getValue('ibb-esr') || 0,
+        esl: utils.getValue('ibb-esl') || 0,
+        cderate: utils.getValue('ibb-cderate') || 0,
+        vrippleSpec: utils.getValue('ibb-vripple-spec')
+    };
+}
+
+/**
+ * Computes every inverting buck-boost output for one operating point (no DOM access).
+ *
+ * @param {Object} inputs - Values as returned by readBuckBoostInputs()
+ * @returns {Object} - { error } when the operating point is invalid, otherwise
+ *   { dutyCycle, ilAvg, deltaIL, vsw, vrect, converged, losses, capacitors }
+ */
+function computeBuckBoostMetrics(inputs) {
+    const { vin, vout, iout, inductance, fsw } = inputs;
+
+    // 1. Validate inputs silently
     const coreInputs = [vin, vout, iout, inductance, fsw];
     const coreInputNames = ['Input Voltage', 'Output Voltage', 'Output Current', 'Inductance', 'Switching Freq'];
 
+    if (!utils.validateInputs(coreInputs, coreInputNames, true)) {
+        return { error: 'Enter Vin, Vout, Iout, L and Fsw to calculate.' };
+    }
+
+    if (coreInputs.some(v => v <= 0)) {
+        return { error: 'Vin, |Vout|, Iout, L and Fsw must be positive values.' };
+    }
+
+    if (inputs.cderate < 0 || inputs.cderate >= 100) {
+        return { error: 'DC-bias derating must be between 0 and 100%.' };
+    }
+
+    // 2. Perform calculations in order of dependency
+    // The drops scale with IL(avg) = Iout / (1-D), so iterate D from the ideal-switch value
+    const idealDutyCycle = calculateBuckBoostDutyCycle(vin, vout);
+    if (idealDutyCycle === null || idealDutyCycle >= 1) {
+        return { error: 'Duty cycle is out of range; check Vin and |Vout|.' };
+    }
+    const solution = utils.solveFixedPoint((d) => {
+        const ilAvgEstimate = calculateBuckBoostILavg(iout, d);
+        if (ilAvgEstimate === null) return null;
+        const drops = calculateBuckBoostSwitchDrops(inputs, ilAvgEstimate);
+        return calculateBuckBoostDutyCycle(vin, vout, drops.vsw, drops.vrect);
+    }, idealDutyCycle);
+
+    const dutyCycle = solution.value;
+    if (dutyCycle === null || dutyCycle >= 1) {
+        return { error: 'Duty cycle is out of range; the switch and DCR drops are too large for this load.' };
+    }
+
+    const ilAvg = calculateBuckBoostILavg(iout, dutyCycle);
+    const { vsw, vrect } = calculateBuckBoostSwitchDrops(inputs, ilAvg);
+    const deltaIL = calculateBuckBoostDeltaIL(vin, dutyCycle, inductance, fsw, vsw);
+
+    return {
+        dutyCycle,
+        ilAvg,
+        deltaIL,
+        vsw,
+        vrect,
+        converged: solution.converged,
+        losses: calculateBuckBoostLosses({ ...inputs, dutyCycle, ilAvg, deltaIL }),
+        capacitors: calculateBuckBoostCapacitors({ ...inputs, dutyCycle, ilAvg, deltaIL })
+    };
+}
+
+/**
+ * Maps one operating point to the values offered by the sweep plot and tolerance analysis
+ *
+ * @param {Object} inputs - Values as returned by readBuckBoostInputs()
+ * @returns {Object|null} - Plottable outputs, or null if the point is invalid
+ */
+function evaluateBuckBoostSweepPoint(inputs) {
+    const result = computeBuckBoostMetrics(inputs);
+    if (result.error) return null;
+    return {
+        ilpp: result.deltaIL,
+        duty: result.dutyCycle * 100,
+        ilavg: result.ilAvg,
+        efficiency: result.losses.efficiency !== null ? result.losses.efficiency * 100 : null,
+        dvout: result.capacitors.dvTotal !== null ? result.capacitors.dvTotal * utils.constants.MILLI : null
+    };
+}
+
+function calculateAllBuckBoostMetrics() {
     const errorEl = document.getElementById('ibb-error');
     const setError = (msg) => { if (errorEl) errorEl.textContent = msg || ''; };
     const clearOutputs = () => {
+        CAP_OUTPUT_IDS.forEach(id => utils.setValue(id, '', 2));
         utils.setValue('ibb-duty', '', 2);
         utils.setValue('ibb-ilavg', '', 3);
         utils.setValue('ibb-ilpp', '', 3);
+        utils.setValue('ibb-vdsh', '', 3);
+        utils.setValue('ibb-vdsl', '', 3);
+        LOSS_OUTPUT_IDS.forEach(id => utils.setValue(id, '', 1));
+        utils.setValue('ibb-eff', '', 2);
     };
 
     setError('');
+    if (sweep) sweep.refresh();
+    if (tolerance) tolerance.refresh();
 
-    if (!utils.validateInputs(coreInputs, coreInputNames, true)) {
-        clearOutputs();
-        setError('Enter Vin, Vout, Iout, L and Fsw to calculate.');
-        return;
-    }
-
-    if ([vin, vout, iout, inductance, fsw].some(v => v === null || v <= 0)) {
+    const result = computeBuckBoostMetrics(readBuckBoostInputs());
+    if (result.error) {
         clearOutputs();
-        setError('Vin, |Vout|, Iout, L and Fsw must be positive values.');
+        setError(result.error);
         return;
     }
 
-    // 3. Perform calculations in order of dependency
-    const dutyCycle = calculateBuckBoostDutyCycle(vin, vout);
-    
-    if (dutyCycle === null || dutyCycle >= 1) {
-        clearOutputs();
-        setError('Duty cycle is out of range; check Vin and |Vout|.');
-        return;
+    // Update the UI
+    utils.setValue('ibb-duty', result.dutyCycle * 100, 2);
+    utils.setValue('ibb-ilavg', result.ilAvg, 3);
+    utils.setValue('ibb-ilpp', result.deltaIL, 3);
+    utils.setValue('ibb-vdsh', result.vsw, 3);
+    utils.setValue('ibb-vdsl', result.vrect, 3);
+    if (!result.converged) {
+        setError('Switch-drop iteration did not converge; results are approximate.');
     }
 
-    const ilAvg = calculateBuckBoostILavg(iout, dutyCycle);
-    const deltaIL = calculateBuckBoostDeltaIL(vin, dutyCycle, inductance, fsw);
+    const toMilliwatts = (w) => w * utils.constants.MILLI;
+    const losses = result.losses;
+    utils.setValue('ibb-pswitch', toMilliwatts(losses.switchConduction), 1);
+    utils.setValue('ibb-prect', toMilliwatts(losses.rectifier), 1);
+    utils.setValue('ibb-pdcr', toMilliwatts(losses.dcr), 1);
+    utils.setValue('ibb-ptotal', toMilliwatts(losses.total), 1);
+    utils.setValue('ibb-eff', losses.efficiency !== null ? losses.efficiency * 100 : null, 2);
 
-    // 4. Update the UI
-    utils.setValue('ibb-duty', dutyCycle * 100, 2);
-    utils.setValue('ibb-ilavg', ilAvg, 3);
-    utils.setValue('ibb-ilpp', deltaIL, 3);
+    const toMillivolts = (v) => v !== null ? v * utils.constants.MILLI : null;
+    const caps = result.capacitors;
+    utils.setValue('ibb-dv-c', toMillivolts(caps.dvC), 2);
+    utils.setValue('ibb-dv-esr', toMillivolts(caps.dvEsr), 2);
+    utils.setValue('ibb-dv-esl', toMillivolts(caps.dvEsl), 2);
+    utils.setValue('ibb-dv-total', toMillivolts(caps.dvTotal), 2);
+    utils.setValue('ibb-icout-rms', caps.icoutRms, 3);
+    utils.setValue('ibb-icin-rms', caps.icinRms, 3);
+    utils.setValue('ibb-cout-min', caps.coutMin !== null ? caps.coutMin * utils.constants.MICRO : null, 2);
+    if (caps.specUnreachable) {
+        setError('Ripple spec is below the ESR + ESL ripple; more capacitance alone cannot meet it.');
+    }
 }
 
 
 // --- Event Listener Setup ---
 
+// Only the parameters of the selected rectifier are editable
+function updateRectifierFields() {
+    const isDiode = readRectifierType() === 'diode';
+    const setDisabled = (id, disabled) => {
+        const input = document.getElementById(id);
+        if (input) input.disabled = disabled;
+    };
+    setDisabled('ibb-rdsl', isDiode);
+    setDisabled('ibb-diode-vf', !isDiode);
+    setDisabled('ibb-qrr', !isDiode);
+}
+
 function setupEventListeners() {
+    const rectSelect = document.getElementById('ibb-rect-type');
+    if (rectSelect) {
+        rectSelect.addEventListener('change', () => {
+            updateRectifierFields();
+            calculateAllBuckBoostMetrics();
+        });
+    }
+    updateRectifierFields();
+
     const ibbInputIds = [
         'ibb-vin', 'ibb-vout', 'ibb-iout', 
-        'ibb-inductance', 'ibb-fsw'
+        'ibb-inductance', 'ibb-fsw', 'ibb-rdsh', 'ibb-dcr',
+        'ibb-rdsl', 'ibb-diode-vf', 'ibb-qrr',
+        ...CAP_INPUT_IDS
     ];
 
     ibbInputIds.forEach(id => {
@@ -127,6 +420,50 @@ function setupEventListeners() {
 // --- Initialization ---
 function init() {
     setupEventListeners();
+
+    const outputs = [
+        { key: 'ilpp', label: 'ΔIL', unit: 'A' },
+        { key: 'duty', label: 'Duty Cycle', unit: '%' },
+        { key: 'ilavg', label: 'IL(avg)', unit: 'A' },
+        { key: 'efficiency', label: 'Efficiency', unit: '%' },
+        { key: 'dvout', label: 'ΔVout', unit: 'mV' }
+    ];
+
+    if (window.plot) {
+        sweep = window.plot.createSweep({
+            id: 'ibb',
+            containerId: 'ibb-sweep',
+            variables: [
+                { key: 'iout', label: 'Output Current', unit: 'A' },
+                { key: 'vin', label: 'Input Voltage', unit: 'V' },
+                { key: 'fsw', label: 'Switching Freq', unit: 'MHz' },
+                { key: 'inductance', label: 'Inductance', unit: 'µH' }
+            ],
+            outputs,
+            readInputs: readBuckBoostInputs,
+            evaluate: evaluateBuckBoostSweepPoint
+        });
+    }
+
+    if (window.tolerance) {
+        tolerance = window.tolerance.createToleranceAnalysis({
+            id: 'ibb',
+            containerId: 'ibb-tolerance',
+            variables: [
+                { key: 'vin', label: 'Input Voltage', unit: 'V' },
+                { key: 'vout', label: 'Output Voltage', unit: 'V' },
+                { key: 'iout', label: 'Output Current', unit: 'A' },
+                { key: 'fsw', label: 'Switching Freq', unit: 'MHz' },
+                { key: 'inductance', label: 'Inductance', unit: 'µH' },
+                { key: 'dcr', label: 'Inductor DCR', unit: 'mΩ' },
+                { key: 'cout', label: 'Cout', unit: 'µF' },
+                { key: 'esr', label: 'Cout ESR', unit: 'mΩ' }
+            ],
+            outputs,
+            readInputs: readBuckBoostInputs,
+            evaluate: evaluateBuckBoostSweepPoint
+        });
+    }
 }
 
 if (document.readyState === 'loading') {
@@ -1,7 +1,7 @@
 'use strict';
 
 /**
- * Buck Converter Calculator (v1.1.0)
+ * Buck Converter Calculator (v1.9.0)
  *
  * Provides functionality to automatically calculate buck converter performance
  * metrics based on user-provided inputs.
@@ -10,6 +10,16 @@
  * - Duty Cycle
  * - On-Time (Ton)
  * - Inductor Current Ripple (iL(p-p))
+ * - Conduction Mode (CCM/DCM), Peak Inductor Current and CCM/DCM boundary
+ *   current (when a load current is entered)
+ * - Power Loss Breakdown and Efficiency (when a load current is entered)
+ * - Inductor core loss from the ripple flux swing (Steinmetz/iGSE, via js/core-loss.js)
+ * - Output Voltage Ripple (capacitive, ESR and ESL parts), Cout/Cin RMS current
+ *   and the minimum Cout for a ripple spec
+ * - Synchronous FET or Schottky diode rectifier
+ * - Switch drops derived from Rds(on), inductor DCR and load current
+ * - Sweep plot of any output against Iout, Vin, Fsw or L (via js/plot.js)
+ * - Worst-case corners and Monte Carlo spread over toleranced inputs (via js/tolerance.js)
  *
  * This module is designed to update all outputs instantaneously whenever a
  * user modifies an input value, providing a seamless and responsive experience.
@@ -19,10 +29,71 @@
  * - Inductor Current Ripple: ΔiL = (Vout * (1 - D)) / (fsw * L)
  * - On Time: Ton = D / fsw
  *
+ * Switch Drops (I = Iout in CCM, Ipk/2 in DCM; solved iteratively with D):
+ * - High Side: Vdsh = I · (Rds(on)HS + DCR)
+ * - Synchronous FET: Vdsl = I · (Rds(on)LS + DCR)
+ * - Schottky Diode: Vdsl = Vf + I · DCR
+ *
+ * Discontinuous Conduction Mode (Iout < ΔiL(CCM) / 2):
+ * - Duty Cycle: D = √(2 · L · fsw · Iout · Voff / (Von · (Von + Voff)))
+ *   where Von = Vin - Vdsh - Vout and Voff = Vout + Vdsl
+ * - Peak Current: Ipk = Von · D / (fsw · L)  (iL(p-p) = Ipk, valley is zero)
+ *
+ * Power Loss (user-specified FETs, per TI SLVA390):
+ * - Conduction: I²rms(HS) · Rds(on)HS + I²rms(LS) · Rds(on)LS
+ *   (diode rectifier: I²rms(HS) · Rds(on)HS + Vf · Iavg(LS))
+ * - Switching: ½ · Vin · fsw · (Ivalley · tr + Ipk · tf) + ½ · ΣCoss · Vin² · fsw
+ * - Gate Drive: ΣQg · Vdrv · fsw
+ * - Dead Time: Vf,body · td · fsw · (Ivalley + Ipk)  (synchronous only)
+ * - Reverse Recovery: Qrr · Vin · fsw  (diode only)
+ * - Inductor DCR: I²rms(L) · DCR
+ * - Inductor Core: Pv · Ve (below)
+ * - Controller: Vin · Iq
+ *
+ * Inductor Core Loss (iGSE with the material's Steinmetz k, α, β):
+ * - Flux Swing: ΔB = L · ΔiL / (N · Ae)
+ * - Loss Density: Pv = ki · fsw^α · ΔB^β · (D^(1-α) + D_LS^(1-α))
+ *   (D_LS = 1 - D in CCM, so the flux is flat during the DCM idle interval)
+ *
+ * Output Capacitor (Ceff = Cout · (1 - DC-bias derating)):
+ * - Capacitive Ripple: ΔVc = Q / Ceff, with Q = ΔiL / (8 · fsw) in CCM and the
+ *   inductor charge above Iout in DCM
+ * - ESR Ripple: ΔVesr = ΔiL · ESR
+ * - ESL Ripple: ΔVesl = ESL · ΔiL · fsw · (1/D + 1/D_LS)  (step in inductor di/dt)
+ * - RMS Currents: Icout = rms(iL - Iout), Icin = rms(iHS - Iin)
+ * - Minimum Cout: Q / (ΔVspec - ΔVesr - ΔVesl) / (1 - derating)
+ *
  */
 
 (function() {
 
+const LOSS_INPUT_IDS = [
+    'buck-qg', 'buck-vdrv', 'buck-coss',
+    'buck-tr', 'buck-tf', 'buck-tdead', 'buck-vf', 'buck-iq'
+];
+
+const LOSS_OUTPUT_IDS = [
+    'buck-pcond', 'buck-psw', 'buck-pgate', 'buck-pdead', 'buck-pqrr',
+    'buck-pdcr', 'buck-pcore', 'buck-pq', 'buck-ptotal'
+];
+
+const CORE_INPUT_IDS = [
+    'buck-core-k', 'buck-core-alpha', 'buck-core-beta',
+    'buck-core-ae', 'buck-core-turns', 'buck-core-ve'
+];
+
+const CORE_OUTPUT_IDS = ['buck-core-db', 'buck-core-pv'];
+
+const CAP_INPUT_IDS = ['buck-cout', 'buck-esr', 'buck-esl', 'buck-cderate', 'buck-vripple-spec'];
+
+const CAP_OUTPUT_IDS = [
+    'buck-dv-c', 'buck-dv-esr', 'buck-dv-esl', 'buck-dv-total',
+    'buck-icout-rms', 'buck-icin-rms', 'buck-cout-min'
+];
+
+let sweep = null;
+let tolerance = null;
+
 function calculateBuckDutyCycle(vin, vout, vdsh, vdsl) {
     if (vin - vdsh === 0) return null;
     return (vout + vdsl) / (vin - vdsh);
@@ -44,86 +115,559 @@ function calculateBuckIlpp(vout, vdsl, l, fsw, dutyCycle) {
     return ((vout + vdsl) * (1 - dutyCycle)) / (fswHz * lH);
 }
 
-function calculateAllBuckMetrics() {
-    const vin = utils.getValue('buck-vin');
-    const vout = utils.getValue('buck-vout');
-    const inductance = utils.getValue('buck-inductance');
-    const fsw = utils.getValue('buck-fsw');
-    // Default Vds values to 0 if not provided
-    const vdsh = utils.getValue('buck-vdsh') || 0;
-    const vdsl = utils.getValue('buck-vdsl') || 0;
+function calculateBuckDcmDutyCycle(vin, vout, vdsh, vdsl, l, fsw, iout) {
+    const fswHz = utils.mhzToHz(fsw);
+    const lH = l / utils.constants.MICRO;
+    const von = vin - vdsh - vout;
+    const voff = vout + vdsl;
+    if (von <= 0 || voff <= 0) return null;
+    // Volt-second balance with the inductor current returning to zero:
+    // Iout = Von · D² · (Von + Voff) / (2 · fsw · L · Voff)
+    return Math.sqrt((2 * lH * fswHz * iout * voff) / (von * (von + voff)));
+}
+
+function calculateBuckDcmPeakCurrent(vin, vout, vdsh, l, fsw, dutyCycle) {
+    const fswHz = utils.mhzToHz(fsw);
+    const lH = l / utils.constants.MICRO;
+    if (fswHz * lH === 0) return null;
+    return ((vin - vdsh - vout) * dutyCycle) / (fswHz * lH);
+}
+
+/**
+ * Calculates the buck power-loss breakdown for one operating point.
+ *
+ * Currents are taken from the inductor waveform, so the same equations hold
+ * in DCM (valley current of zero, low-side conducting only for D2).
+ *
+ * @param {Object} p - Operating point and device parameters
+ * @param {number} p.vin - Input voltage (V)
+ * @param {number} p.vout - Output voltage (V)
+ * @param {number} p.iout - Load current (A)
+ * @param {number} p.fsw - Switching frequency (MHz)
+ * @param {number} p.dutyCycle - High-side duty cycle (0-1)
+ * @param {number} p.lsDutyCycle - Low-side conduction fraction (1 - D in CCM, D2 in DCM)
+ * @param {number} p.ipk - Peak inductor current (A)
+ * @param {number} p.ivalley - Valley inductor current (A)
+ * @param {number} p.rdsh - High-side Rds(on) (mΩ)
+ * @param {string} p.rectType - 'sync' (low-side FET) or 'diode' (Schottky)
+ * @param {number} p.rdsl - Low-side Rds(on) (mΩ)
+ * @param {number} p.diodeVf - Rectifier diode forward voltage (V)
+ * @param {number} p.qrr - Rectifier diode reverse-recovery charge (nC)
+ * @param {number} p.qg - Gate charge per FET (nC)
+ * @param {number} p.vdrv - Gate drive voltage (V)
+ * @param {number} p.coss - Output capacitance per FET (pF)
+ * @param {number} p.tr - Switch-node rise time (ns)
+ * @param {number} p.tf - Switch-node fall time (ns)
+ * @param {number} p.tdead - Dead time per edge (ns)
+ * @param {number} p.vf - Low-side body-diode forward voltage (V)
+ * @param {number} p.dcr - Inductor DCR (mΩ)
+ * @param {number} p.iq - Controller quiescent current (mA)
+ * @param {number} [p.coreLoss] - Inductor core loss (W), 0 when not modelled
+ * @returns {Object} - Loss components, total loss and efficiency (losses in W, efficiency 0-1)
+ */
+function calculateBuckLosses(p) {
+    const fswHz = utils.mhzToHz(p.fsw);
+    const rdsh = p.rdsh / utils.constants.MILLI;
+    const rdsl = p.rdsl / utils.constants.MILLI;
+    const dcr = p.dcr / utils.constants.MILLI;
+    const qg = p.qg / utils.constants.NANO;
+    const coss = p.coss * 1e-12;
+    const tr = p.tr / utils.constants.NANO;
+    const tf = p.tf / utils.constants.NANO;
+    const tdead = p.tdead / utils.constants.NANO;
+    const iq = p.iq / utils.constants.MILLI;
+    const qrr = p.qrr / utils.constants.NANO;
+    const isDiode = p.rectType === 'diode';
+    const fetCount = isDiode ? 1 : 2;
+
+    const hsMeanSquare = utils.segmentMeanSquare(p.dutyCycle, p.ivalley, p.ipk);
+    const lsMeanSquare = utils.segmentMeanSquare(p.lsDutyCycle, p.ivalley, p.ipk);
+    const lsAverage = p.lsDutyCycle * (p.ivalley + p.ipk) / 2;
+
+    const conduction = hsMeanSquare * rdsh
+        + (isDiode ? p.diodeVf * lsAverage : lsMeanSquare * rdsl);
+    const switching = 0.5 * p.vin * fswHz * (p.ivalley * tr + p.ipk * tf)
+        + 0.5 * fetCount * coss * p.vin * p.vin * fswHz;
+    const gate = fetCount * qg * p.vdrv * fswHz;
+    const deadTime = isDiode ? 0 : p.vf * tdead * fswHz * (p.ivalley + p.ipk);
+    const reverseRecovery = isDiode ? qrr * p.vin * fswHz : 0;
+    const dcrLoss = (hsMeanSquare + lsMeanSquare) * dcr;
+    const controller = p.vin * iq;
+    const core = p.coreLoss || 0;
+
+    const total = conduction + switching + gate + deadTime + reverseRecovery + dcrLoss + core + controller;
+    const pout = p.vout * p.iout;
+    const efficiency = pout + total > 0 ? pout / (pout + total) : null;
+
+    return {
+        conduction, switching, gate, deadTime, reverseRecovery,
+        dcr: dcrLoss, core, controller, total, efficiency
+    };
+}
+
+/**
+ * Calculates the inductor core loss from the ripple flux swing (iGSE).
+ *
+ * @param {Object} p - Operating point and core parameters
+ * @param {number} p.inductance - Inductance (µH)
+ * @param {number} p.fsw - Switching frequency (MHz)
+ * @param {number} p.ilpp - Inductor ripple (A)
+ * @param {number} p.dutyCycle - High-side duty cycle (0-1)
+ * @param {number} p.lsDutyCycle - Low-side conduction fraction (1 - D in CCM, D2 in DCM)
+ * @param {Object|null} p.core - { k, alpha, beta, ae (mm²), turns, ve (mm³) }, or null if not modelled
+ * @returns {Object|null} - { deltaB (T), lossDensity (W/m³), power (W) }, or null
+ *   when the core is not modelled or its parameters are incomplete
+ */
+function calculateBuckCoreLoss(p) {
+    const core = p.core;
+    if (!core) return null;
+    const params = [core.k, core.alpha, core.beta, core.ae, core.turns, core.ve];
+    if (params.some(v => v === null || !(v > 0))) return null;
+
+    const lH = p.inductance / utils.constants.MICRO;
+    const aeM2 = core.ae * 1e-6;
+    const deltaB = lH * p.ilpp / (core.turns * aeM2);
+    const loss = window.coreLoss.calculateTriangularCoreLoss({
+        k: core.k,
+        alpha: core.alpha,
+        beta: core.beta,
+        deltaB,
+        frequency: utils.mhzToHz(p.fsw),
+        riseFraction: p.dutyCycle,
+        fallFraction: p.lsDutyCycle,
+        volume: core.ve * 1e-9
+    });
+    if (!loss) return null;
+    return { deltaB, lossDensity: loss.lossDensity, power: loss.power };
+}
+
+// --- Main Orchestration Functions ---
+
+/**
+ * Calculates output ripple and capacitor currents for one operating point.
+ *
+ * @param {Object} p - Operating point and capacitor parameters
+ * @param {number} p.fsw - Switching frequency (MHz)
+ * @param {number|null} p.iout - Load current (A); RMS currents need it
+ * @param {number} p.dutyCycle - High-side duty cycle (0-1)
+ * @param {number} p.lsDutyCycle - Low-side conduction fraction (1 - D in CCM, D2 in DCM)
+ * @param {number} p.ilpp - Inductor ripple (A)
+ * @param {number|null} p.ipk - Peak inductor current (A)
+ * @param {number|null} p.ivalley - Valley inductor current (A)
+ * @param {boolean} p.isDcm - True in discontinuous conduction
+ * @param {number|null} p.cout - Output capacitance, nameplate (µF)
+ * @param {number} p.esr - Output capacitor ESR (mΩ)
+ * @param {number} p.esl - Output capacitor ESL (nH)
+ * @param {number} p.cderate - Capacitance lost to DC bias (%)
+ * @param {number|null} p.vrippleSpec - Output ripple target (mV)
+ * @returns {Object} - Ripple parts (V), RMS currents (A) and minimum Cout (F);
+ *   fields are null when their inputs are missing
+ */
+function calculateBuckCapacitors(p) {
+    const fswHz = utils.mhzToHz(p.fsw);
+    const esr = p.esr / utils.constants.MILLI;
+    const esl = p.esl / utils.constants.NANO;
+    const derating = 1 - p.cderate / 100;
+
+    // Charge delivered to the output capacitor each cycle
+    let charge;
+    if (p.isDcm) {
+        const conductionTime = (p.dutyCycle + p.lsDutyCycle) / fswHz;
+        const fractionAboveLoad = (p.ipk - p.iout) / p.ipk;
+        charge = 0.5 * conductionTime * p.ipk * fractionAboveLoad * fractionAboveLoad;
+    } else {
+        charge = p.ilpp / (8 * fswHz);
+    }
+
+    const ceff = p.cout !== null && p.cout > 0 ? p.cout / utils.constants.MICRO * derating : null;
+    const dvC = ceff !== null ? charge / ceff : null;
+    const dvEsr = p.ilpp * esr;
+    const dvEsl = p.dutyCycle > 0 && p.lsDutyCycle > 0
+        ? esl * p.ilpp * fswHz * (1 / p.dutyCycle + 1 / p.lsDutyCycle)
+        : 0;
+    const dvTotal = dvC !== null ? dvC + dvEsr + dvEsl : null;
+
+    let icoutRms = null;
+    let icinRms = null;
+    if (p.iout !== null && p.ipk !== null) {
+        const ilMeanSquare = utils.segmentMeanSquare(p.dutyCycle + p.lsDutyCycle, p.ivalley, p.ipk);
+        icoutRms = Math.sqrt(Math.max(0, ilMeanSquare - p.iout * p.iout));
+        const iinAvg = p.dutyCycle * (p.ivalley + p.ipk) / 2;
+        const iinMeanSquare = utils.segmentMeanSquare(p.dutyCycle, p.ivalley, p.ipk);
+        icinRms = Math.sqrt(Math.max(0, iinMeanSquare - iinAvg * iinAvg));
+    }
+
+    // Minimum nameplate Cout: capacitive share of the ripple budget, then derated
+    let coutMin = null;
+    let specUnreachable = false;
+    if (p.vrippleSpec !== null && p.vrippleSpec > 0) {
+        const budget = p.vrippleSpec / utils.constants.MILLI - dvEsr - dvEsl;
+        if (budget > 0 && derating > 0) {
+            coutMin = charge / budget / derating;
+        } else {
+            specUnreachable = true;
+        }
+    }
+
+    return { dvC, dvEsr, dvEsl, dvTotal, icoutRms, icinRms, coutMin, specUnreachable };
+}
+
+/**
+ * Derives the high-side and rectifier path drops from the current through them.
+ *
+ * @param {Object} p - Values as returned by readBuckInputs()
+ * @param {Object} op - Operating point from calculateBuckOperatingPoint()
+ * @returns {{vdsh: number, vdsl: number}} - Drops (V), inductor DCR included
+ */
+function calculateBuckSwitchDrops(p, op) {
+    const diodeVf = p.rectType === 'diode' ? p.diodeVf : 0;
+    // Without a load current the resistive drops are unknown; treat them as ideal
+    if (p.iout === null) return { vdsh: 0, vdsl: diodeVf };
+
+    // Average current while each path conducts: Iout in CCM, half the peak in DCM
+    const current = op.isDcm ? op.ipk / 2 : p.iout;
+    const dcr = p.dcr / utils.constants.MILLI;
+    const vdsh = current * (p.rdsh / utils.constants.MILLI + dcr);
+    const vdsl = p.rectType === 'diode'
+        ? diodeVf + current * dcr
+        : current * (p.rdsl / utils.constants.MILLI + dcr);
+    return { vdsh, vdsl };
+}
+
+/**
+ * Resolves duty cycle, conduction mode and inductor currents for given drops.
+ *
+ * @param {Object} p - Values as returned by readBuckInputs()
+ * @param {number} vdsh - High-side path drop (V)
+ * @param {number} vdsl - Rectifier path drop (V)
+ * @returns {Object} - { error } or { vdsh, vdsl, isDcm, dutyCycle, lsDutyCycle,
+ *   ilpp, ipk, ivalley, icrit }
+ */
+function calculateBuckOperatingPoint(p, vdsh, vdsl) {
+    const { vin, vout, inductance, fsw, iout } = p;
+
+    if (vin - vdsh <= 0) {
+        return { error: 'Vin is too low for the switch and DCR drops at this load.' };
+    }
+
+    // CCM first; it also sets the CCM/DCM boundary
+    const ccmDutyCycle = calculateBuckDutyCycle(vin, vout, vdsh, vdsl);
+    if (ccmDutyCycle === null || ccmDutyCycle < 0 || ccmDutyCycle > 1) {
+        return { error: 'Duty cycle is out of range. Check Vin/Vout and the switch drops.' };
+    }
+
+    const ccmIlpp = calculateBuckIlpp(vout, vdsl, inductance, fsw, ccmDutyCycle);
+    const icrit = ccmIlpp !== null ? ccmIlpp / 2 : null;
+    const isDcm = iout !== null && icrit !== null && iout < icrit;
+
+    let dutyCycle = ccmDutyCycle;
+    let lsDutyCycle = 1 - ccmDutyCycle;
+    let ilpp = ccmIlpp;
+    let ipk = iout !== null && ccmIlpp !== null ? iout + ccmIlpp / 2 : null;
+    let ivalley = iout !== null && ccmIlpp !== null ? iout - ccmIlpp / 2 : null;
+
+    if (isDcm) {
+        dutyCycle = calculateBuckDcmDutyCycle(vin, vout, vdsh, vdsl, inductance, fsw, iout);
+        if (dutyCycle === null) {
+            return { error: 'DCM duty cycle is undefined. Check Vin/Vout and the switch drops.' };
+        }
+        ipk = calculateBuckDcmPeakCurrent(vin, vout, vdsh, inductance, fsw, dutyCycle);
+        ilpp = ipk;
+        ivalley = 0;
+        // Low-side conducts only until the inductor current reaches zero
+        lsDutyCycle = dutyCycle * (vin - vdsh - vout) / (vout + vdsl);
+    }
+
+    return { vdsh, vdsl, isDcm, dutyCycle, lsDutyCycle, ilpp, ipk, ivalley, icrit };
+}
+
+function readRectifierType() {
+    const select = document.getElementById('buck-rect-type');
+    return select ? select.value : 'sync';
+}
+
+function readCoreMaterial() {
+    const select = document.getElementById('buck-core-material');
+    return select ? select.value : 'none';
+}
+
+function readBuckCoreInputs() {
+    if (readCoreMaterial() === 'none' || !window.coreLoss) return null;
+    return {
+        k: utils.getValue('buck-core-k'),
+        alpha: utils.getValue('buck-core-alpha'),
+        beta: utils.getValue('buck-core-beta'),
+        ae: utils.getValue('buck-core-ae'),
+        turns: utils.getValue('buck-core-turns'),
+        ve: utils.getValue('buck-core-ve')
+    };
+}
+
+function readBuckInputs() {
+    return {
+        vin: utils.getValue('buck-vin'),
+        vout: utils.getValue('buck-vout'),
+        inductance: utils.getValue('buck-inductance'),
+        fsw: utils.getValue('buck-fsw'),
+        // Load current is optional; without it CCM is assumed
+        iout: utils.getValue('buck-iout'),
+        rectType: readRectifierType(),
+        rdsl: utils.getValue('buck-rdsl') || 0,
+        diodeVf: utils.getValue('buck-diode-vf') || 0,
+        qrr: utils.getValue('buck-qrr') || 0,
+        rdsh: utils.getValue('buck-rdsh') || 0,
+        qg: utils.getValue('buck-qg') || 0,
+        vdrv: utils.getValue('buck-vdrv') || 0,
+        coss: utils.getValue('buck-coss') || 0,
+        tr: utils.getValue('buck-tr') || 0,
+        tf: utils.getValue('buck-tf') || 0,
+        tdead: utils.getValue('buck-tdead') || 0,
+        vf: utils.getValue('buck-vf') || 0,
+        dcr: utils.getValue('buck-dcr') || 0,
+        iq: utils.getValue('buck-iq') || 0,
+        cout: utils.getValue('buck-cout'),
+        esr: utils.getValue('buck-esr') || 0,
+        esl: utils.getValue('buck-esl') || 0,
+        cderate: utils.getValue('buck-cderate') || 0,
+        vrippleSpec: utils.getValue('buck-vripple-spec'),
+        core: readBuckCoreInputs()
+    };
+}
+
+/**
+ * Computes every buck output for one operating point (no DOM access).
+ *
+ * @param {Object} inputs - Values as returned by readBuckInputs()
+ * @returns {Object} - { error } when the operating point is invalid, otherwise
+ *   duty cycle, Ton, ripple, peak/boundary currents, mode and losses
+ */
+function computeBuckMetrics(inputs) {
+    const { vin, vout, inductance, fsw, iout } = inputs;
 
     // Check for sufficient inputs before proceeding
     const coreInputs = [vin, vout, inductance, fsw];
     const coreInputNames = ['Input Voltage', 'Output Voltage', 'Inductance', 'Switching Freq'];
 
+    if (!utils.validateInputs(coreInputs, coreInputNames, true)) {
+        return { error: 'Enter Vin, Vout, L and Fsw to calculate.' };
+    }
+
+    if (coreInputs.some(v => v <= 0)) {
+        return { error: 'Vin, Vout, L and Fsw must be positive values.' };
+    }
+
+    if (iout !== null && iout <= 0) {
+        return { error: 'Iout must be a positive value (leave blank to assume CCM).' };
+    }
+
+    if (inputs.cderate < 0 || inputs.cderate >= 100) {
+        return { error: 'DC-bias derating must be between 0 and 100%.' };
+    }
+
+    // 1. Operating point: start from ideal switches, then iterate the drops
+    //    (they depend on the conduction mode and peak current, which depend on D)
+    let op = calculateBuckOperatingPoint(inputs, 0, 0);
+    if (op.error) return op;
+
+    const solution = utils.solveFixedPoint(() => {
+        // `op` holds the previous estimate; refine it with its own drops
+        const drops = calculateBuckSwitchDrops(inputs, op);
+        op = calculateBuckOperatingPoint(inputs, drops.vdsh, drops.vdsl);
+        return op.error ? null : op.dutyCycle;
+    }, op.dutyCycle);
+    if (op.error) return op;
+
+    const { isDcm, dutyCycle, lsDutyCycle, ilpp, ipk, ivalley } = op;
+
+    // 2. Ton
+    const ton = calculateBuckTon(dutyCycle, fsw);
+
+    // 3. Inductor core loss (ripple flux only, so no load current needed)
+    const core = calculateBuckCoreLoss({ ...inputs, dutyCycle, lsDutyCycle, ilpp });
+
+    // 4. Power loss breakdown (needs the load current)
+    const losses = iout !== null && ipk !== null
+        ? calculateBuckLosses({
+            ...inputs, dutyCycle, lsDutyCycle, ipk, ivalley,
+            coreLoss: core ? core.power : 0
+        })
+        : null;
+
+    // 5. Output capacitor ripple and RMS currents
+    const capacitors = calculateBuckCapacitors({
+        ...inputs, dutyCycle, lsDutyCycle, ilpp, ipk, ivalley, isDcm
+    });
+
+    return {
+        mode: iout === null ? 'CCM (assumed)' : (isDcm ? 'DCM' : 'CCM'),
+        dutyCycle, ton, ilpp, ipk, icrit: op.icrit, vdsh: op.vdsh, vdsl: op.vdsl,
+        converged: solution.converged, core, losses, capacitors
+    };
+}
+
+/**
+ * Maps one operating point to the values offered by the sweep plot and tolerance analysis
+ *
+ * @param {Object} inputs - Values as returned by readBuckInputs()
+ * @returns {Object|null} - Plottable outputs, or null if the point is invalid
+ */
+function evaluateBuckSweepPoint(inputs) {
+    const result = computeBuckMetrics(inputs);
+    if (result.error) return null;
+    return {
+        efficiency: result.losses ? result.losses.efficiency * 100 : null,
+        ilpp: result.ilpp,
+        duty: result.dutyCycle * 100,
+        ipk: result.ipk,
+        ploss: result.losses ? result.losses.total * utils.constants.MILLI : null,
+        dvout: result.capacitors.dvTotal !== null ? result.capacitors.dvTotal * utils.constants.MILLI : null
+    };
+}
+
+function calculateAllBuckMetrics() {
     const errorEl = document.getElementById('buck-error');
     const setError = (msg) => { if (errorEl) errorEl.textContent = msg || ''; };
+    const modeEl = document.getElementById('buck-mode');
+    const setMode = (text) => { if (modeEl) modeEl.value = text; };
+    const clearLossOutputs = () => {
+        LOSS_OUTPUT_IDS.forEach(id => utils.setValue(id, '', 1));
+        utils.setValue('buck-eff', '', 2);
+    };
     const clearOutputs = () => {
+        CAP_OUTPUT_IDS.forEach(id => utils.setValue(id, '', 2));
+        CORE_OUTPUT_IDS.forEach(id => utils.setValue(id, '', 2));
         utils.setValue('buck-duty', '', 2);
         utils.setValue('buck-ton', '', 3);
         utils.setValue('buck-ilpp', '', 3);
+        utils.setValue('buck-ipk', '', 3);
+        utils.setValue('buck-icrit', '', 3);
+        utils.setValue('buck-vdsh', '', 3);
+        utils.setValue('buck-vdsl', '', 3);
+        setMode('—');
+        clearLossOutputs();
     };
 
     setError('');
+    if (sweep) sweep.refresh();
+    if (tolerance) tolerance.refresh();
 
-    if (!utils.validateInputs(coreInputs, coreInputNames, true)) {
+    const result = computeBuckMetrics(readBuckInputs());
+    if (result.error) {
         clearOutputs();
-        setError('Enter Vin, Vout, L and Fsw to calculate.');
+        setError(result.error);
         return;
     }
 
-    if ([vin, vout, inductance, fsw].some(v => v === null || v <= 0)) {
-        clearOutputs();
-        setError('Vin, Vout, L and Fsw must be positive values.');
-        return;
+    // --- Update the UI ---
+    utils.setValue('buck-duty', result.dutyCycle * 100, 2); // Display as percentage
+    utils.setValue('buck-ton', result.ton, 3);
+    utils.setValue('buck-ilpp', result.ilpp, 3);
+    utils.setValue('buck-ipk', result.ipk, 3);
+    utils.setValue('buck-icrit', result.icrit, 3);
+    utils.setValue('buck-vdsh', result.vdsh, 3);
+    utils.setValue('buck-vdsl', result.vdsl, 3);
+    setMode(result.mode);
+    if (!result.converged) {
+        setError('Switch-drop iteration did not converge; results are approximate.');
     }
 
-    if (vin - vdsh <= 0) {
-        clearOutputs();
-        setError('Vin must be greater than Vds(hi).');
-        return;
+    const toMillivolts = (v) => v !== null ? v * utils.constants.MILLI : null;
+    const caps = result.capacitors;
+    utils.setValue('buck-dv-c', toMillivolts(caps.dvC), 2);
+    utils.setValue('buck-dv-esr', toMillivolts(caps.dvEsr), 2);
+    utils.setValue('buck-dv-esl', toMillivolts(caps.dvEsl), 2);
+    utils.setValue('buck-dv-total', toMillivolts(caps.dvTotal), 2);
+    utils.setValue('buck-icout-rms', caps.icoutRms, 3);
+    utils.setValue('buck-icin-rms', caps.icinRms, 3);
+    utils.setValue('buck-cout-min', caps.coutMin !== null ? caps.coutMin * utils.constants.MICRO : null, 2);
+    if (caps.specUnreachable) {
+        setError('Ripple spec is below the ESR + ESL ripple; more capacitance alone cannot meet it.');
     }
 
-    // --- Perform Calculations ---
+    const core = result.core;
+    utils.setValue('buck-core-db', core ? core.deltaB * utils.constants.MILLI : null, 2);
+    // W/m³ → mW/cm³ is a factor of one thousandth
+    utils.setValue('buck-core-pv', core ? core.lossDensity / utils.constants.KILO : null, 2);
 
-    // 1. Duty Cycle
-    const dutyCycle = calculateBuckDutyCycle(vin, vout, vdsh, vdsl);
-    if (dutyCycle !== null && dutyCycle >= 0 && dutyCycle <= 1) {
-        utils.setValue('buck-duty', dutyCycle * 100, 2); // Display as percentage
-    } else {
-        clearOutputs();
-        setError('Duty cycle is out of range. Check Vin/Vout and Vds values.');
+    const losses = result.losses;
+    if (!losses) {
+        clearLossOutputs();
         return;
     }
-    
-    // 2. Ton
-    if (dutyCycle !== null && fsw > 0) {
-        const ton = calculateBuckTon(dutyCycle, fsw);
-        if (ton !== null) {
-            utils.setValue('buck-ton', ton, 3);
-        } else {
-            utils.setValue('buck-ton', '', 3);
-        }
-    } else {
-        utils.setValue('buck-ton', '', 3);
-    }
 
-    // 3. iL(p-p)
-    const ilpp = calculateBuckIlpp(vout, vdsl, inductance, fsw, dutyCycle);
-    if (ilpp !== null) {
-        utils.setValue('buck-ilpp', ilpp, 3);
-    } else {
-        utils.setValue('buck-ilpp', '', 3);
-    }
+    const toMilliwatts = (w) => w * utils.constants.MILLI;
+    utils.setValue('buck-pcond', toMilliwatts(losses.conduction), 1);
+    utils.setValue('buck-psw', toMilliwatts(losses.switching), 1);
+    utils.setValue('buck-pgate', toMilliwatts(losses.gate), 1);
+    utils.setValue('buck-pdead', toMilliwatts(losses.deadTime), 1);
+    utils.setValue('buck-pqrr', toMilliwatts(losses.reverseRecovery), 1);
+    utils.setValue('buck-pdcr', toMilliwatts(losses.dcr), 1);
+    utils.setValue('buck-pcore', toMilliwatts(losses.core), 1);
+    utils.setValue('buck-pq', toMilliwatts(losses.controller), 1);
+    utils.setValue('buck-ptotal', toMilliwatts(losses.total), 1);
+    utils.setValue('buck-eff', losses.efficiency !== null ? losses.efficiency * 100 : null, 2);
 }
 
 // --- Event Listener Setup ---
 
+// Only the parameters of the selected rectifier are editable
+function updateRectifierFields() {
+    const isDiode = readRectifierType() === 'diode';
+    const setDisabled = (id, disabled) => {
+        const input = document.getElementById(id);
+        if (input) input.disabled = disabled;
+    };
+    setDisabled('buck-rdsl', isDiode);
+    setDisabled('buck-tdead', isDiode);
+    setDisabled('buck-vf', isDiode);
+    setDisabled('buck-diode-vf', !isDiode);
+    setDisabled('buck-qrr', !isDiode);
+}
+
+// Presets fill in their Steinmetz coefficients; only 'custom' takes typed values
+function updateCoreFields() {
+    const material = readCoreMaterial();
+    const preset = window.coreLoss ? window.coreLoss.findMaterial(material) : null;
+    if (preset) {
+        utils.setValue('buck-core-k', preset.k, 2);
+        utils.setValue('buck-core-alpha', preset.alpha, 2);
+        utils.setValue('buck-core-beta', preset.beta, 2);
+    }
+    CORE_INPUT_IDS.forEach(id => {
+        const input = document.getElementById(id);
+        if (!input) return;
+        const isCoefficient = id !== 'buck-core-ae' && id !== 'buck-core-turns' && id !== 'buck-core-ve';
+        input.disabled = material === 'none' || (isCoefficient && preset !== null);
+    });
+}
+
 function setupEventListeners() {
+    const coreSelect = document.getElementById('buck-core-material');
+    if (coreSelect && window.coreLoss) {
+        coreSelect.innerHTML = window.coreLoss.materialOptionsHTML('Not modelled');
+        coreSelect.addEventListener('change', () => {
+            updateCoreFields();
+            calculateAllBuckMetrics();
+        });
+    }
+    updateCoreFields();
+
+    const rectSelect = document.getElementById('buck-rect-type');
+    if (rectSelect) {
+        rectSelect.addEventListener('change', () => {
+            updateRectifierFields();
+            calculateAllBuckMetrics();
+        });
+    }
+    updateRectifierFields();
+
     const buckInputIds = [
         'buck-vin', 'buck-vout', 'buck-inductance',
-        'buck-fsw', 'buck-vdsh', 'buck-vdsl'
+        'buck-fsw', 'buck-iout', 'buck-rdsh', 'buck-dcr',
+        'buck-rdsl', 'buck-diode-vf', 'buck-qrr',
+        ...LOSS_INPUT_IDS,
+        ...CORE_INPUT_IDS,
+        ...CAP_INPUT_IDS
     ];
 
     buckInputIds.forEach(id => {
@@ -141,6 +685,51 @@ function setupEventListeners() {
 // --- Initialization ---
 function init() {
     setupEventListeners();
+
+    const outputs = [
+        { key: 'efficiency', label: 'Efficiency', unit: '%' },
+        { key: 'ilpp', label: 'iL(p-p)', unit: 'A' },
+        { key: 'duty', label: 'Duty Cycle', unit: '%' },
+        { key: 'ipk', label: 'iL(peak)', unit: 'A' },
+        { key: 'ploss', label: 'Total Loss', unit: 'mW' },
+        { key: 'dvout', label: 'ΔVout', unit: 'mV' }
+    ];
+
+    if (window.plot) {
+        sweep = window.plot.createSweep({
+            id: 'buck',
+            containerId: 'buck-sweep',
+            variables: [
+                { key: 'iout', label: 'Load Current', unit: 'A' },
+                { key: 'vin', label: 'Input Voltage', unit: 'V' },
+                { key: 'fsw', label: 'Switching Freq', unit: 'MHz' },
+                { key: 'inductance', label: 'Inductance', unit: 'µH' }
+            ],
+            outputs,
+            readInputs: readBuckInputs,
+            evaluate: evaluateBuckSweepPoint
+        });
+    }
+
+    if (window.tolerance) {
+        tolerance = window.tolerance.createToleranceAnalysis({
+            id: 'buck',
+            containerId: 'buck-tolerance',
+            variables: [
+                { key: 'vin', label: 'Input Voltage', unit: 'V' },
+                { key: 'vout', label: 'Output Voltage', unit: 'V' },
+                { key: 'iout', label: 'Load Current', unit: 'A' },
+                { key: 'fsw', label: 'Switching Freq', unit: 'MHz' },
+                { key: 'inductance', label: 'Inductance', unit: 'µH' },
+                { key: 'dcr', label: 'Inductor DCR', unit: 'mΩ' },
+                { key: 'cout', label: 'Cout', unit: 'µF' },
+                { key: 'esr', label: 'Cout ESR', unit: 'mΩ' }
+            ],
+            outputs,
+            readInputs: readBuckInputs,
+            evaluate: evaluateBuckSweepPoint
+        });
+    }
 }
 
 if (document.readyState === 'loading') {
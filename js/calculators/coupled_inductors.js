@@ -10,6 +10,23 @@
  * - Unit dropdowns for inductance (nH, µH) and frequency (kHz, MHz)
  * - Auto-calculation on input change
  * - Formatted outputs: Duty Cycle (%), FOM, Ripples (A)
+ * - FOM and dIL_CL/dIL_DL plotted across the full duty range, with the j/N
+ *   boundaries marked (via js/plot.js)
+ * - Phase current waveforms of the coupled inductor over one switching period
+ * - Load-step transient: equivalent transient inductance, per-phase slew rate
+ *   and output deviation, side by side with a discrete inductor
+ *
+ * Waveform model (the one the FOM is derived from): each winding has its own
+ * inductance L and shares Lm with the other phases, coupled inversely with
+ * mutual inductance -Lm/(N_ph - 1). Phase k switches with a delay of k/N_ph.
+ *
+ * Transient (controller saturated, all phases switching together):
+ * - The coupling terms cancel, so each phase slews through L_tr = L
+ * - A discrete inductor with the same steady-state ripple needs L_DL = L · FOM
+ *   (used when no discrete L is entered)
+ * - Slew rate per phase: (V_IN - V_OUT) / L on a load step-up, V_OUT / L on a step-down
+ * - Output deviation: ESR · dI + (L / N_ph) · dI² / (2 · C_OUT · V_L), with
+ *   V_L = V_IN - V_OUT (undershoot) or V_OUT (overshoot)
  */
 
 (function() {
@@ -34,6 +51,128 @@
     }
 
     // --- CORE CALCULATION LOGIC ---
+
+    // Points used for the duty-cycle plot (D = 0 and D = 1 are excluded)
+    const DUTY_PLOT_POINTS = 400;
+
+    /**
+     * Figure of merit of the coupled inductor: dIL_DL / dIL_CL.
+     *
+     * @param {number} D - Duty cycle (0-1, exclusive)
+     * @param {number} nph - Number of phases (>= 2)
+     * @param {number} rho - Coupling ratio Lm / L
+     * @returns {number|null} - FOM, or null when the denominator vanishes
+     */
+    function calculateFom(D, nph, rho) {
+        const j = Math.floor(D * nph);
+
+        const factor = (rho / (rho + 1)) * (1 / (nph - 1));
+        const fom_num = 1 + factor;
+        const term1 = nph - 2 * j - 2;
+        const term2 = (j * (j + 1)) / (nph * D);
+        const term3 = (nph * D * (nph - 2 * j - 1) + j * (j + 1)) / (nph * (1 - D));
+        const fom_den = 1 - (term1 + term2 + term3) * factor;
+
+        if (Math.abs(fom_den) < 1e-12) return null;
+        return fom_num / fom_den;
+    }
+
+    /**
+     * Builds the phase current waveforms over one switching period. Currents
+     * are piecewise linear, so they are evaluated at every switching edge.
+     *
+     * @param {Object} values - Validated inputs (SI units)
+     * @returns {Array<Array<{x: number, y: number}>>} - One series per phase;
+     *   x is t/Tsw and y is the current about its average (A)
+     */
+    function calculatePhaseWaveforms(values) {
+        const { vin, vout, lm, l, fs, nph } = values;
+        const D = vout / vin;
+
+        // Inverse of the inductance matrix (L + Lm on the diagonal, -Lm/(N-1) elsewhere)
+        const diagonal = l + lm + lm / (nph - 1);
+        const offDiagonal = -lm / (nph - 1);
+
+        const edges = new Set([0, 1]);
+        for (let k = 0; k < nph; k++) {
+            edges.add(k / nph);
+            edges.add((k / nph + D) % 1);
+        }
+        const times = [...edges].sort((a, b) => a - b);
+
+        const isOn = (k, t) => ((t - k / nph) % 1 + 1) % 1 < D;
+        const currents = new Array(nph).fill(0);
+        const phases = currents.map(() => [{ x: 0, y: 0 }]);
+
+        for (let i = 1; i < times.length; i++) {
+            const mid = (times[i - 1] + times[i]) / 2;
+            const dt = (times[i] - times[i - 1]) / fs;
+            const voltages = currents.map((_, k) => (isOn(k, mid) ? vin : 0) - vout);
+            const sum = voltages.reduce((a, b) => a + b, 0);
+            voltages.forEach((v, k) => {
+                currents[k] += (v - offDiagonal / l * sum) / diagonal * dt;
+                phases[k].push({ x: times[i], y: currents[k] });
+            });
+        }
+
+        // Remove the average so every phase is centred on zero
+        return phases.map(points => {
+            let area = 0;
+            for (let i = 1; i < points.length; i++) {
+                area += (points[i].y + points[i - 1].y) / 2 * (points[i].x - points[i - 1].x);
+            }
+            return points.map(p => ({ x: p.x, y: p.y - area }));
+        });
+    }
+
+    /**
+     * Calculates the load-step response of one inductor choice.
+     *
+     * @param {Object} values - Validated inputs (SI units)
+     * @param {number} lPhase - Per-phase transient inductance (H)
+     * @param {Object} step - { di (A), cout (F), esr (Ω) }
+     * @returns {{slewUp: number, slewDown: number, undershoot: number, overshoot: number}}
+     *   Slew rates in A/s, deviations in V
+     */
+    function calculateTransient(values, lPhase, step) {
+        const { vin, vout, nph } = values;
+        const lTotal = lPhase / nph;
+        const deviation = (vl) => step.esr * step.di + lTotal * step.di * step.di / (2 * step.cout * vl);
+
+        return {
+            slewUp: (vin - vout) / lPhase,
+            slewDown: vout / lPhase,
+            undershoot: deviation(vin - vout),
+            overshoot: deviation(vout)
+        };
+    }
+
+    // The transient inputs are optional; returns null until they are all entered
+    function getTransientInputs() {
+        const di = utils.getValue('ci-step');
+        const coutRaw = utils.getValue('ci-cout');
+        const esrRaw = utils.getValue('ci-esr');
+        const ldlRaw = utils.getValue('ci-ldl');
+        const ldlUnitEl = document.getElementById('ci-ldl-unit');
+
+        if (di === null || coutRaw === null) return null;
+        if (di <= 0 || coutRaw <= 0 || (esrRaw !== null && esrRaw < 0)) {
+            return { error: 'Load step and C_OUT must be positive, ESR non-negative.' };
+        }
+        if (ldlRaw !== null && ldlRaw <= 0) {
+            return { error: 'Discrete L must be positive.' };
+        }
+
+        return {
+            step: {
+                di,
+                cout: coutRaw * 1e-6,
+                esr: (esrRaw || 0) * 1e-3
+            },
+            ldl: ldlRaw !== null ? convertInductanceToHenry(ldlRaw, ldlUnitEl?.value || 'uH') : null
+        };
+    }
+
     function getAndValidateInputs() {
         const errors = [];
         const values = {};
@@ -114,6 +253,95 @@
         utils.setValue('ci-fom', '', 4);
         utils.setValue('ci-dildl', '', 6);
         utils.setValue('ci-dilcl', '', 6);
+        clearTransientOutputs();
+        drawPlots(null);
+    }
+
+    function clearTransientOutputs() {
+        ['ci-ltr', 'ci-ldl-used', 'ci-slew-cl', 'ci-slew-dl', 'ci-fall-cl', 'ci-fall-dl',
+            'ci-under-cl', 'ci-under-dl', 'ci-over-cl', 'ci-over-dl'
+        ].forEach(id => utils.setValue(id, '', 2));
+    }
+
+    function displayTransient(values, fom, errorEl) {
+        const transient = getTransientInputs();
+        if (!transient) return;
+        if (transient.error) {
+            if (errorEl) errorEl.textContent = `Error: ${transient.error}`;
+            return;
+        }
+
+        const ldl = transient.ldl !== null ? transient.ldl : values.l * fom;
+        const coupled = calculateTransient(values, values.l, transient.step);
+        const discrete = calculateTransient(values, ldl, transient.step);
+
+        utils.setValue('ci-ltr', values.l * 1e9, 2);           // nH
+        utils.setValue('ci-ldl-used', ldl * 1e9, 2);           // nH
+        utils.setValue('ci-slew-cl', coupled.slewUp * 1e-6, 3);   // A/µs
+        utils.setValue('ci-slew-dl', discrete.slewUp * 1e-6, 3);  // A/µs
+        utils.setValue('ci-fall-cl', coupled.slewDown * 1e-6, 3);
+        utils.setValue('ci-fall-dl', discrete.slewDown * 1e-6, 3);
+        utils.setValue('ci-under-cl', coupled.undershoot * 1e3, 2); // mV
+        utils.setValue('ci-under-dl', discrete.undershoot * 1e3, 2);
+        utils.setValue('ci-over-cl', coupled.overshoot * 1e3, 2);
+        utils.setValue('ci-over-dl', discrete.overshoot * 1e3, 2);
+    }
+
+    // --- PLOTS ---
+    function drawDutyPlots(values) {
+        const fomCanvas = document.getElementById('ci-fom-canvas');
+        const ratioCanvas = document.getElementById('ci-ratio-canvas');
+        if (!values) {
+            if (fomCanvas) window.plot.drawLineChart(fomCanvas, []);
+            if (ratioCanvas) window.plot.drawLineChart(ratioCanvas, []);
+            return;
+        }
+
+        const { vin, vout, lm, l, nph } = values;
+        const rho = lm / l;
+        const D = vout / vin;
+        const duties = window.plot.linspace(0.5 / DUTY_PLOT_POINTS, 1 - 0.5 / DUTY_PLOT_POINTS, DUTY_PLOT_POINTS);
+        const fomPoints = window.plot.sweep(duties, d => calculateFom(d, nph, rho));
+        const ratioPoints = fomPoints.map(p => ({ x: p.x, y: p.y !== null ? 1 / p.y : null }));
+
+        const markers = [{ x: D, label: 'D' }];
+        for (let j = 1; j < nph; j++) {
+            markers.push({ x: j / nph, label: `${j}/${nph}` });
+        }
+
+        if (fomCanvas) {
+            window.plot.drawLineChart(fomCanvas, [{ label: 'FOM', points: fomPoints }], {
+                xLabel: 'Duty Cycle (D)', yLabel: 'FOM', markers
+            });
+        }
+        if (ratioCanvas) {
+            window.plot.drawLineChart(ratioCanvas, [{ label: 'dIL_CL / dIL_DL', points: ratioPoints }], {
+                xLabel: 'Duty Cycle (D)', yLabel: 'dIL_CL / dIL_DL', markers
+            });
+        }
+    }
+
+    function drawWaveformPlot(values) {
+        const canvas = document.getElementById('ci-wave-canvas');
+        if (!canvas) return;
+        if (!values) {
+            window.plot.drawLineChart(canvas, []);
+            return;
+        }
+
+        const series = calculatePhaseWaveforms(values).map((points, k) => ({
+            label: `Phase ${k + 1}`,
+            points
+        }));
+        window.plot.drawLineChart(canvas, series, {
+            xLabel: 'Time (t / Tsw)', yLabel: 'Phase current - average (A)'
+        });
+    }
+
+    function drawPlots(values) {
+        if (!window.plot) return;
+        drawDutyPlots(values);
+        drawWaveformPlot(values);
     }
 
     function calculateAndDisplay() {
@@ -134,22 +362,14 @@
 
         try {
             const rho = lm / l;
-            const j = Math.floor(D * nph);
 
             const dIL_DL = (vin - vout) / l * (D / fs);
 
-            const factor = (rho / (rho + 1)) * (1 / (nph - 1));
-            const fom_num = 1 + factor;
-            const term1 = nph - 2 * j - 2;
-            const term2 = (j * (j + 1)) / (nph * D);
-            const term3 = (nph * D * (nph - 2 * j - 1) + j * (j + 1)) / (nph * (1 - D));
-            const fom_den = 1 - (term1 + term2 + term3) * factor;
-
-            if (Math.abs(fom_den) < 1e-12) {
+            const fom = calculateFom(D, nph, rho);
+            if (fom === null) {
                 throw new Error("FOM denominator is zero, cannot calculate.");
             }
-            
-            const fom = fom_num / fom_den;
+
             const dIL_CL = dIL_DL / fom;
 
             if (![D, fom, dIL_DL, dIL_CL].every(isFinite)) {
@@ -162,6 +382,9 @@
             utils.setValue('ci-dildl', dIL_DL, 6); // Ripple in A
             utils.setValue('ci-dilcl', dIL_CL, 6); // Ripple in A
 
+            displayTransient(values, fom, errorEl);
+            drawPlots(values);
+
         } catch (e) {
             if (errorEl) errorEl.textContent = `Error: ${e.message}`;
             clearOutputs();
@@ -171,8 +394,11 @@
     // --- EVENT LISTENER SETUP ---
     // Use same pattern as other calculators (buck.js, boost.js, etc.)
     function setupEventListeners() {
-        const inputIds = ['ci-vin', 'ci-vout', 'ci-lm', 'ci-l', 'ci-fs', 'ci-nph'];
-        const unitSelectIds = ['ci-lm-unit', 'ci-l-unit', 'ci-fs-unit'];
+        const inputIds = [
+            'ci-vin', 'ci-vout', 'ci-lm', 'ci-l', 'ci-fs', 'ci-nph',
+            'ci-step', 'ci-cout', 'ci-esr', 'ci-ldl'
+        ];
+        const unitSelectIds = ['ci-lm-unit', 'ci-l-unit', 'ci-fs-unit', 'ci-ldl-unit'];
 
         inputIds.forEach(id => {
             const input = document.getElementById(id);
@@ -0,0 +1,312 @@
+'use strict';
+
+/**
+ * Ćuk Converter Calculator (v1.1.0)
+ *
+ * Provides functionality to calculate inverting Ćuk converter parameters such as:
+ * - Duty cycle
+ * - Average current, ripple and peak current of both inductors
+ * - Coupled (one core) or uncoupled (two cores) inductors
+ * - Coupling capacitor voltage, voltage ripple and RMS current
+ * - Switch and diode voltage and current stresses
+ * - Sweep plot of any output against Iout, Vin, Fsw or L1 (via js/plot.js)
+ * - Worst-case corners and Monte Carlo spread over toleranced inputs (via js/tolerance.js)
+ *
+ * This module is designed to automatically update all performance metrics
+ * in response to user input, providing an instantaneous calculation experience.
+ *
+ * Key Ćuk Equations (CCM, diode rectifier, Vout = |Vout| of the inverted output):
+ * - Duty Cycle: D = (Vout + Vf) / (Vin + Vout + Vf)
+ * - Average Inductor Currents: IL1 = Iout · D / (1-D) (input current), IL2 = Iout (output current)
+ * - Both inductors see Vin during Ton and -(Vout + Vf) during Toff, so the
+ *   output current is continuous and both windings can share one core
+ * - Uncoupled Ripple: ΔIL1 = Vin · D / (L1 · fsw), ΔIL2 = Vin · D / (L2 · fsw)
+ * - Coupled Ripple (M = k · √(L1 · L2), both windings see the same voltage):
+ *   ΔIL1 = Vin · D · (L2 - M) / ((L1 · L2 - M²) · fsw),
+ *   ΔIL2 = Vin · D · (L1 - M) / ((L1 · L2 - M²) · fsw)
+ *   (a negative ripple means the winding current ramps against its voltage)
+ *
+ * Coupling Capacitor:
+ * - Voltage: Vc = Vin + Vout
+ * - Ripple: ΔVc = Iout · D / (Cc · fsw)
+ * - RMS Current: IL2 during Ton and IL1 during Toff
+ *
+ * Stresses:
+ * - Switch and Diode Peak Current: IL1(peak) + IL2(peak)
+ * - Switch Voltage: Vin + Vout + Vf, Diode Reverse Voltage: Vin + Vout
+ *
+ * Usage:
+ * - The main function `calculateAllCukMetrics` is triggered on any input change.
+ * - It reads all inputs, validates them, and then calls the individual calculation functions.
+ * - Results are displayed directly in the corresponding output fields.
+ * - Ripple and stress math is shared with the SEPIC calculator via js/two-inductor.js.
+ */
+
+(function() {
+
+// --- Core Calculation Functions ---
+
+function calculateCukDutyCycle(vin, vout, vf) {
+    // For the inverting Ćuk, Vout magnitude is used.
+    const voutMag = Math.abs(vout);
+    const denominator = vin + voutMag + vf;
+    if (denominator <= 0) return null;
+
+    // Formula: D = (Vout + Vf) / (Vin + Vout + Vf)
+    return (voutMag + vf) / denominator;
+}
+
+
+// --- Main Orchestration Functions ---
+
+let sweep = null;
+let tolerance = null;
+
+function readInductorType() {
+    const select = document.getElementById('cuk-inductor-type');
+    return select ? select.value : 'uncoupled';
+}
+
+function readCukInputs() {
+    return {
+        vin: utils.getValue('cuk-vin'),
+        vout: utils.getValue('cuk-vout'),
+        iout: utils.getValue('cuk-iout'),
+        fsw: utils.getValue('cuk-fsw'),
+        l1: utils.getValue('cuk-l1'),
+        l2: utils.getValue('cuk-l2'),
+        inductorType: readInductorType(),
+        k: utils.getValue('cuk-k'),
+        cc: utils.getValue('cuk-cc'),
+        vf: utils.getValue('cuk-vf') || 0
+    };
+}
+
+/**
+ * Computes every Ćuk output for one operating point (no DOM access).
+ *
+ * @param {Object} inputs - Values as returned by readCukInputs()
+ * @returns {Object} - { error } when the operating point is invalid, otherwise
+ *   { dutyCycle, il1, il2, ripple1, ripple2, leff1, leff2, il1pk, il2pk, stresses }
+ */
+function computeCukMetrics(inputs) {
+    const { vin, vout, iout, fsw, l1, l2, inductorType, cc, vf } = inputs;
+    const coupled = inductorType === 'coupled';
+    const k = coupled ? inputs.k : 0;
+
+    // 1. Validate inputs silently
+    const coreInputs = [vin, vout, iout, fsw, l1, l2, cc];
+    const coreInputNames = [
+        'Input Voltage', 'Output Voltage', 'Output Current', 'Switching Freq',
+        'L1', 'L2', 'Coupling Cap'
+    ];
+
+    if (!utils.validateInputs(coreInputs, coreInputNames, true)) {
+        return { error: 'Enter Vin, Vout, Iout, Fsw, L1, L2 and Cc to calculate.' };
+    }
+
+    if ([vin, iout, fsw, l1, l2, cc].some(v => v <= 0) || vout === 0 || vf < 0) {
+        return { error: 'Vin, Iout, Fsw, L1, L2 and Cc must be positive values and Vout non-zero.' };
+    }
+
+    if (coupled && (k === null || isNaN(k) || k < 0 || k >= 1)) {
+        return { error: 'Coupling coefficient must be in [0, 1).' };
+    }
+
+    // 2. Perform calculations in order of dependency
+    const dutyCycle = calculateCukDutyCycle(vin, vout, vf);
+    if (dutyCycle === null) {
+        return { error: 'Cannot calculate duty cycle; check Vin and Vout.' };
+    }
+
+    const ripple = twoInductor.calculateRipple({ vin, dutyCycle, l1, l2, k, fsw });
+    if (ripple === null) {
+        return { error: 'Cannot calculate inductor ripple; check L1, L2 and k.' };
+    }
+
+    const il1 = iout * dutyCycle / (1 - dutyCycle);
+    const il2 = iout;
+    const stresses = twoInductor.calculateStresses({
+        vin, vc: vin + Math.abs(vout), vout: Math.abs(vout), vf, iout, cc, fsw, dutyCycle,
+        il1, il2, ripple1: ripple.ripple1, ripple2: ripple.ripple2
+    });
+
+    return {
+        dutyCycle,
+        il1,
+        il2,
+        ...ripple,
+        il1pk: il1 + Math.abs(ripple.ripple1) / 2,
+        il2pk: il2 + Math.abs(ripple.ripple2) / 2,
+        stresses
+    };
+}
+
+/**
+ * Maps one operating point to the values offered by the sweep plot and tolerance analysis
+ *
+ * @param {Object} inputs - Values as returned by readCukInputs()
+ * @returns {Object|null} - Plottable outputs, or null if the point is invalid
+ */
+function evaluateCukSweepPoint(inputs) {
+    const result = computeCukMetrics(inputs);
+    if (result.error) return null;
+    return {
+        duty: result.dutyCycle * 100,
+        ripple1: Math.abs(result.ripple1),
+        ripple2: Math.abs(result.ripple2),
+        iccRms: result.stresses.iccRms,
+        iswPk: result.stresses.iswPk,
+        iswRms: result.stresses.iswRms
+    };
+}
+
+function calculateAllCukMetrics() {
+    const errorEl = document.getElementById('cuk-error');
+    const setError = (msg) => { if (errorEl) errorEl.textContent = msg || ''; };
+    const clearOutputs = () => {
+        ['cuk-duty', 'cuk-il1', 'cuk-il2', 'cuk-ripple1', 'cuk-ripple2',
+            'cuk-il1pk', 'cuk-il2pk', 'cuk-leff1', 'cuk-leff2',
+            'cuk-vc', 'cuk-dvc', 'cuk-icc-rms',
+            'cuk-vsw', 'cuk-isw-pk', 'cuk-isw-rms', 'cuk-vd', 'cuk-id-pk', 'cuk-id-rms'
+        ].forEach(id => utils.setValue(id, '', 2));
+    };
+    // An infinite effective inductance means the ripple is steered out of that winding
+    const setInductance = (id, value) => utils.setValue(id, isFinite(value) ? value : '', 2);
+
+    setError('');
+    if (sweep) sweep.refresh();
+    if (tolerance) tolerance.refresh();
+
+    const result = computeCukMetrics(readCukInputs());
+    if (result.error) {
+        clearOutputs();
+        setError(result.error);
+        return;
+    }
+
+    // Update the UI
+    const s = result.stresses;
+    utils.setValue('cuk-duty', result.dutyCycle * 100, 2);
+    utils.setValue('cuk-il1', result.il1, 3);
+    utils.setValue('cuk-il2', result.il2, 3);
+    utils.setValue('cuk-ripple1', Math.abs(result.ripple1), 3);
+    utils.setValue('cuk-ripple2', Math.abs(result.ripple2), 3);
+    utils.setValue('cuk-il1pk', result.il1pk, 3);
+    utils.setValue('cuk-il2pk', result.il2pk, 3);
+    setInductance('cuk-leff1', Math.abs(result.leff1));
+    setInductance('cuk-leff2', Math.abs(result.leff2));
+
+    utils.setValue('cuk-vc', s.vc, 2);
+    utils.setValue('cuk-dvc', s.dvc !== null ? s.dvc * utils.constants.MILLI : null, 1);
+    utils.setValue('cuk-icc-rms', s.iccRms, 3);
+
+    utils.setValue('cuk-vsw', s.vsw, 2);
+    utils.setValue('cuk-isw-pk', s.iswPk, 3);
+    utils.setValue('cuk-isw-rms', s.iswRms, 3);
+    utils.setValue('cuk-vd', s.vd, 2);
+    utils.setValue('cuk-id-pk', s.idPk, 3);
+    utils.setValue('cuk-id-rms', s.idRms, 3);
+}
+
+
+// --- Event Listener Setup ---
+
+function updateInductorFields() {
+    const k = document.getElementById('cuk-k');
+    if (k) k.disabled = readInductorType() !== 'coupled';
+}
+
+function setupEventListeners() {
+    const typeSelect = document.getElementById('cuk-inductor-type');
+    if (typeSelect) {
+        typeSelect.addEventListener('change', () => {
+            updateInductorFields();
+            calculateAllCukMetrics();
+        });
+    }
+    updateInductorFields();
+
+    const cukInputIds = [
+        'cuk-vin', 'cuk-vout', 'cuk-iout', 'cuk-fsw',
+        'cuk-l1', 'cuk-l2', 'cuk-k', 'cuk-cc', 'cuk-vf'
+    ];
+
+    cukInputIds.forEach(id => {
+        const input = document.getElementById(id);
+        if (input) {
+            input.addEventListener('input', calculateAllCukMetrics);
+            // Add Enter key support
+            input.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') calculateAllCukMetrics();
+            });
+        }
+    });
+}
+
+// --- Initialization ---
+function init() {
+    setupEventListeners();
+
+    const outputs = [
+        { key: 'duty', label: 'Duty Cycle', unit: '%' },
+        { key: 'ripple1', label: 'ΔIL1', unit: 'A' },
+        { key: 'ripple2', label: 'ΔIL2', unit: 'A' },
+        { key: 'iccRms', label: 'Cc RMS Current', unit: 'A' },
+        { key: 'iswPk', label: 'Switch Peak Current', unit: 'A' },
+        { key: 'iswRms', label: 'Switch RMS Current', unit: 'A' }
+    ];
+
+    if (window.plot) {
+        sweep = window.plot.createSweep({
+            id: 'cuk',
+            containerId: 'cuk-sweep',
+            variables: [
+                { key: 'iout', label: 'Load Current', unit: 'A' },
+                { key: 'vin', label: 'Input Voltage', unit: 'V' },
+                { key: 'fsw', label: 'Switching Freq', unit: 'MHz' },
+                { key: 'l1', label: 'L1', unit: 'µH' }
+            ],
+            outputs,
+            readInputs: readCukInputs,
+            evaluate: evaluateCukSweepPoint
+        });
+    }
+
+    if (window.tolerance) {
+        tolerance = window.tolerance.createToleranceAnalysis({
+            id: 'cuk',
+            containerId: 'cuk-tolerance',
+            variables: [
+                { key: 'vin', label: 'Input Voltage', unit: 'V' },
+                { key: 'vout', label: 'Output Voltage', unit: 'V' },
+                { key: 'iout', label: 'Load Current', unit: 'A' },
+                { key: 'fsw', label: 'Switching Freq', unit: 'MHz' },
+                { key: 'l1', label: 'L1', unit: 'µH' },
+                { key: 'l2', label: 'L2', unit: 'µH' },
+                { key: 'cc', label: 'Coupling Cap', unit: 'µF' }
+            ],
+            outputs,
+            readInputs: readCukInputs,
+            evaluate: evaluateCukSweepPoint
+        });
+    }
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+} else {
+    init();
+}
+
+// Register with calculator registry
+if (window.calculatorRegistry) {
+    window.calculatorRegistry.register(
+        'cuk',
+        'Ćuk',
+        'Ćuk converter with coupled or uncoupled inductors',
+        { calculateAllCukMetrics }
+    );
+}
+
+})();
@@ -1,7 +1,7 @@
 'use strict';
 
 /**
- * Resistor Divider Calculator (v1.5.0)
+ * Resistor Divider Calculator (v1.8.0)
  *
  * Provides functionality to calculate resistor divider parameters
  * and find standard resistor pairs that match a desired voltage ratio.
@@ -12,66 +12,161 @@
  * - Generate ~20 standard values around that closest one.
  * - For each top resistor, find the best-fit standard bottom resistor.
  * - Highlight the standard values closest to the original ideal top and bottom resistors.
+ *
+ * Full search: every Rtop/Rbot combination of a series, limited to the allowed
+ * decades, is checked against divider-current, total-resistance and
+ * per-resistor power limits. Sorting ranks every passing pair by the chosen
+ * column and shows the first 100.
+ *
+ * Monte Carlo yield: a chosen pair is simulated with resistor tolerance, TCR
+ * over a temperature range and the feedback reference tolerance, reporting the
+ * spread of Vmid and Vout and the share of units inside a ±% Vout spec.
+ *
+ * Regulator feedback mode: Vtop is the target Vout, Vmid the reference and
+ * Vbot ground. The feedback-pin bias current is drawn from the middle node, so
+ * each pair is solved and reported as the Vout it produces, and pairs whose
+ * divider current is under a set multiple of the bias current are flagged.
  */
 
 document.addEventListener('DOMContentLoaded', () => {
 
+    // --- Constants ---
+    const MC_REFERENCE_TEMP_C = 25;
+    const MC_DEFAULT_SAMPLES = 10000;
+    const MC_MAX_SAMPLES = 100000;
+    const FULL_SEARCH_MAX_RESULTS = 100;
+
     // --- State Variables ---
     let showStandardPairsTimeout;
+    let lastTolerance = null;
+    let fullSearchResults = null;
+    let fullSearchSort = { key: 'error', ascending: true };
 
     // All calculation functions expect resistance in Ohms.
     // All UI functions for resistance display values in kOhms.
+    // ibias is the current drawn out of the middle node, e.g. a regulator's
+    // feedback-pin bias current (A, positive into the pin). It is 0 in divider mode.
+    // feedback is true in regulator feedback mode and is passed in with the inputs.
 
     // --- Core Calculation Logic ---
 
-    function calculateVmid(vtop, vbot, rtop_ohm, rbot_ohm) {
+    function calculateVmid(vtop, vbot, rtop_ohm, rbot_ohm, ibias = 0) {
         if ((rtop_ohm + rbot_ohm) === 0) return vbot;
-        return vbot + (rbot_ohm / (rtop_ohm + rbot_ohm)) * (vtop - vbot);
+        return vbot + (rbot_ohm / (rtop_ohm + rbot_ohm)) * (vtop - vbot) -
+            ibias * rtop_ohm * rbot_ohm / (rtop_ohm + rbot_ohm);
     }
 
-    function calculateRtop_ohm(vtop, vmid, vbot, rbot_ohm) {
-        const divisor = (vmid - vbot);
+    function calculateRtop_ohm(vtop, vmid, vbot, rbot_ohm, ibias = 0) {
+        const divisor = (vmid - vbot) + ibias * rbot_ohm;
         if (divisor === 0) return Infinity;
         return rbot_ohm * (vtop - vmid) / divisor;
     }
 
-    function calculateRbot_ohm(vtop, vmid, vbot, rtop_ohm) {
-        const divisor = (vtop - vmid);
+    function calculateRbot_ohm(vtop, vmid, vbot, rtop_ohm, ibias = 0) {
+        const divisor = (vtop - vmid) - ibias * rtop_ohm;
         if (divisor === 0) return Infinity;
         return rtop_ohm * (vmid - vbot) / divisor;
     }
 
-    function calculateVtop(vmid, vbot, rtop_ohm, rbot_ohm) {
+    function calculateVtop(vmid, vbot, rtop_ohm, rbot_ohm, ibias = 0) {
         if (rbot_ohm === 0) return vmid;
-        return vbot + (vmid - vbot) * (rtop_ohm + rbot_ohm) / rbot_ohm;
+        return vbot + (vmid - vbot) * (rtop_ohm + rbot_ohm) / rbot_ohm + ibias * rtop_ohm;
     }
 
-    function calculateVbot(vtop, vmid, rtop_ohm, rbot_ohm) {
+    function calculateVbot(vtop, vmid, rtop_ohm, rbot_ohm, ibias = 0) {
         if (rtop_ohm === 0) return vmid;
-        return (vmid * (rtop_ohm + rbot_ohm) - vtop * rbot_ohm) / rtop_ohm;
+        return (vmid * (rtop_ohm + rbot_ohm) - vtop * rbot_ohm) / rtop_ohm + ibias * rbot_ohm;
+    }
+
+    /**
+     * Resistor voltages, currents and powers for one pair. In feedback mode the
+     * loop holds Vmid at Vref and the pair sets Vout; otherwise Vtop is fixed.
+     */
+    function calculatePairOperatingPoint(inputs, rtop, rbot) {
+        const { vtop, vmid, vbot, ibias, feedback } = inputs;
+        const vout = feedback ? calculateVtop(vmid, vbot, rtop, rbot, ibias) : vtop;
+        const vnode = feedback ? vmid : calculateVmid(vtop, vbot, rtop, rbot, ibias);
+        const itop = (vout - vnode) / rtop;
+        const ibot = (vnode - vbot) / rbot;
+        return { vout, vnode, current: ibot, ptop: itop * itop * rtop, pbot: ibot * ibot * rbot };
+    }
+
+    // --- Mode ---
+
+    function isFeedbackMode() {
+        return document.getElementById('div-mode')?.value === 'feedback';
+    }
+
+    function readBiasCurrent_A() {
+        return isFeedbackMode() ? (utils.getValue('div-fb-ibias') || 0) / utils.constants.NANO : 0;
+    }
+
+    function setLabel(inputId, text) {
+        const label = document.querySelector(`label[for="${inputId}"]`);
+        if (label) label.textContent = text;
+    }
+
+    function setText(id, text) {
+        const el = document.getElementById(id);
+        if (el) el.textContent = text;
+    }
+
+    // Regulator feedback mode: Vtop is the output, Vmid the reference and Vbot ground
+    function updateModeFields() {
+        const feedback = isFeedbackMode();
+        setLabel('div-vtop', feedback ? 'Target Vout:' : 'Top Voltage:');
+        setLabel('div-vmid', feedback ? 'Reference (Vref):' : 'Middle Voltage:');
+        setText('div-col-error', feedback ? 'Vout Error' : 'Ratio Error');
+        setText('div-col-vmid', feedback ? 'Vout (V)' : 'Vmid (V)');
+        setText('div-fs-col-error', feedback ? 'Vout Error' : 'Ratio Error');
+        setText('div-fs-col-v', feedback ? 'Vout (V)' : 'Vmid (V)');
+
+        const vbot = document.getElementById('div-vbot');
+        if (vbot) {
+            if (feedback) vbot.value = '0';
+            vbot.disabled = feedback;
+        }
+        ['div-fb-ibias', 'div-fb-min-ratio'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.disabled = !feedback;
+        });
+    }
+
+    function handleModeChange() {
+        updateModeFields();
+        updateCurrentAndPower();
+        if (lastTolerance !== null) showStandardPairs(lastTolerance);
+        if (fullSearchResults) runDividerFullSearch();
     }
 
     // --- UI Update Functions ---
 
     function updateCurrentAndPower() {
         const vtop = utils.getValue('div-vtop');
+        const vmid = utils.getValue('div-vmid');
         const vbot = utils.getValue('div-vbot');
         const rtop_kohm = utils.getValue('div-rtop');
         const rbot_kohm = utils.getValue('div-rbot');
+        const feedback = isFeedbackMode();
        
         const currentEl = document.getElementById('div-current');
         const ptopEl = document.getElementById('div-ptop');
         const pbotEl = document.getElementById('div-pbot');
 
-        if (vtop !== null && vbot !== null && rtop_kohm > 0 && rbot_kohm > 0) {
-            const totalResistanceInOhms = (rtop_kohm + rbot_kohm) * 1000;
-            const current = Math.abs((vtop - vbot) / totalResistanceInOhms);
-            const ptop = current * current * (rtop_kohm * 1000);
-            const pbot = current * current * (rbot_kohm * 1000);
-
-            if(currentEl) currentEl.textContent = (current * 1000).toFixed(2);
-            if(ptopEl) ptopEl.textContent = (ptop * 1000).toFixed(2);
-            if(pbotEl) pbotEl.textContent = (pbot * 1000).toFixed(2);
+        // Feedback mode needs Vref to place the middle node; divider mode needs Vtop
+        const drive = feedback ? vmid : vtop;
+        if (drive !== null && vbot !== null && rtop_kohm > 0 && rbot_kohm > 0) {
+            // With a bias current Rtop and Rbot carry different currents; show
+            // the Rbot (divider) current, as the pair tables do
+            const op = calculatePairOperatingPoint(
+                { vtop, vmid, vbot, ibias: readBiasCurrent_A(), feedback },
+                rtop_kohm * 1000, rbot_kohm * 1000
+            );
+            const current_mA = Math.abs(op.current) * 1000;
+
+            if(currentEl) currentEl.textContent = current_mA.toFixed(current_mA < 0.1 ? 4 : 2);
+            if(ptopEl) ptopEl.textContent = (op.ptop * 1000).toFixed(2);
+            if(pbotEl) pbotEl.textContent = (op.pbot * 1000).toFixed(2);
         } else {
             if(currentEl) currentEl.textContent = '—';
             if(ptopEl) ptopEl.textContent = '—';
@@ -102,6 +197,7 @@ document.addEventListener('DOMContentLoaded', () => {
         const vbot = utils.getValue('div-vbot');
         const rtop_kohm = utils.getValue('div-rtop');
         const rbot_kohm = utils.getValue('div-rbot');
+        const ibias = readBiasCurrent_A();
 
         try {
             let resultValue; // This will be in kOhms for resistors, or Volts for voltages
@@ -135,11 +231,11 @@ document.addEventListener('DOMContentLoaded', () => {
             }
 
             switch (target) {
-                case 'vtop': resultValue = calculateVtop(vmid, vbot, rtop_ohm, rbot_ohm); break;
-                case 'rtop': resultValue = calculateRtop_ohm(vtop, vmid, vbot, rbot_ohm) / 1000; break;
-                case 'rbot': resultValue = calculateRbot_ohm(vtop, vmid, vbot, rtop_ohm) / 1000; break;
-                case 'vmid': resultValue = calculateVmid(vtop, vbot, rtop_ohm, rbot_ohm); break;
-                case 'vbot': resultValue = calculateVbot(vtop, vmid, rtop_ohm, rbot_ohm); break;
+                case 'vtop': resultValue = calculateVtop(vmid, vbot, rtop_ohm, rbot_ohm, ibias); break;
+                case 'rtop': resultValue = calculateRtop_ohm(vtop, vmid, vbot, rbot_ohm, ibias) / 1000; break;
+                case 'rbot': resultValue = calculateRbot_ohm(vtop, vmid, vbot, rtop_ohm, ibias) / 1000; break;
+                case 'vmid': resultValue = calculateVmid(vtop, vbot, rtop_ohm, rbot_ohm, ibias); break;
+                case 'vbot': resultValue = calculateVbot(vtop, vmid, rtop_ohm, rbot_ohm, ibias); break;
             }
 
             if (resultValue !== null && isFinite(resultValue) && resultValue >= 0) {
@@ -164,12 +260,12 @@ document.addEventListener('DOMContentLoaded', () => {
             const validatedInputs = getAndValidateInputValues();
             if (!validatedInputs) return;
 
-            const { vtop, vmid, vbot, rtop_ohm, rbot_ohm } = validatedInputs;
+            const { minBiasRatio } = validatedInputs;
 
             const standardValues = utils.getStandardValues(tolerance);
             if (!standardValues?.length) return handleError('Standard values not available for this tolerance.');
             
-            const pairs = findBestFitPairs(standardValues, { vtop, vmid, vbot, rtop_ohm, rbot_ohm });
+            const pairs = findBestFitPairs(standardValues, validatedInputs);
             
             const tbody = document.getElementById('divider-results-body');
             if (!tbody) return;
@@ -178,8 +274,13 @@ document.addEventListener('DOMContentLoaded', () => {
                 showNoResultsMessage(tbody, tolerance);
             } else {
                 addPairsToTable(tbody, pairs);
+                const flagged = pairs.filter(p => p.lowBiasRatio).length;
+                if (flagged > 0) {
+                    handleError(`${flagged} pair(s) draw less than ${minBiasRatio}× the feedback bias current; their Vout depends on the pin leakage.`);
+                }
             }
             updateToleranceTitle(tolerance);
+            lastTolerance = tolerance;
         }, 100);
     }
     
@@ -201,6 +302,8 @@ document.addEventListener('DOMContentLoaded', () => {
         const vbot = utils.getValue('div-vbot');
         let rtop_kohm = utils.getValue('div-rtop');
         let rbot_kohm = utils.getValue('div-rbot');
+        const ibias = readBiasCurrent_A();
+        const minBiasRatio = utils.getValue('div-fb-min-ratio') || 0;
 
         if (!utils.validateInputs([vtop, vmid, vbot], ['Vtop', 'Vmid', 'Vbot'], true)) {
             const names = ['Vtop', 'Vmid', 'Vbot'];
@@ -215,10 +318,10 @@ document.addEventListener('DOMContentLoaded', () => {
         }
 
         if (rtop_kohm === null && rbot_kohm !== null) {
-            rtop_kohm = calculateRtop_ohm(vtop, vmid, vbot, rbot_kohm * 1000) / 1000;
+            rtop_kohm = calculateRtop_ohm(vtop, vmid, vbot, rbot_kohm * 1000, ibias) / 1000;
             if (isFinite(rtop_kohm)) utils.setValue('div-rtop', rtop_kohm, 3);
         } else if (rtop_kohm !== null && rbot_kohm === null) {
-            rbot_kohm = calculateRbot_ohm(vtop, vmid, vbot, rtop_kohm * 1000) / 1000;
+            rbot_kohm = calculateRbot_ohm(vtop, vmid, vbot, rtop_kohm * 1000, ibias) / 1000;
             if (isFinite(rbot_kohm)) utils.setValue('div-rbot', rbot_kohm, 3);
         } else if (rtop_kohm === null && rbot_kohm === null) {
             const vdiff = vtop - vmid;
@@ -228,8 +331,9 @@ document.addEventListener('DOMContentLoaded', () => {
             }
             const ratio = (vmid - vbot) / vdiff;
             const total_r_ohm = Math.abs(vtop - vbot) / 0.001; // Target 1mA current
-            const rtop_ohm = total_r_ohm / (1 + ratio);
-            const rbot_ohm = total_r_ohm - rtop_ohm;
+            const rbot_ohm = total_r_ohm - total_r_ohm / (1 + ratio);
+            // Keep Rbot and size Rtop to also carry the bias current
+            const rtop_ohm = calculateRtop_ohm(vtop, vmid, vbot, rbot_ohm, ibias);
 
             rtop_kohm = rtop_ohm / 1000;
             rbot_kohm = rbot_ohm / 1000;
@@ -239,11 +343,19 @@ document.addEventListener('DOMContentLoaded', () => {
         }
         
         if (rtop_kohm === null || rbot_kohm === null || !isFinite(rtop_kohm) || !isFinite(rbot_kohm)) return null;
+        if (rtop_kohm <= 0 || rbot_kohm <= 0) {
+            handleError('The feedback bias current is too large for these resistors; lower Rtop or Rbot.');
+            return null;
+        }
 
-        return { vtop, vmid, vbot, rtop_ohm: rtop_kohm * 1000, rbot_ohm: rbot_kohm * 1000 };
+        return {
+            vtop, vmid, vbot,
+            rtop_ohm: rtop_kohm * 1000, rbot_ohm: rbot_kohm * 1000,
+            ibias, minBiasRatio, feedback: isFeedbackMode()
+        };
     }
 
-    function findBestFitPairs(standardValues, { vtop, vmid, vbot, rtop_ohm, rbot_ohm }) {
+    function findBestFitPairs(standardValues, { vtop, vmid, vbot, rtop_ohm, rbot_ohm, ibias = 0, minBiasRatio = 0, feedback = false }) {
         if (rbot_ohm === 0) return [];
         const rtop_std_closest_index = findNearestStandardValueIndex(rtop_ohm, standardValues);
         if (rtop_std_closest_index === -1) return [];
@@ -257,15 +369,20 @@ document.addEventListener('DOMContentLoaded', () => {
         const targetRatio = rtop_ohm / rbot_ohm;
 
         const pairs = topResistorSeries.map(rtop_std_ohm => {
-            const ideal_rbot_ohm = rtop_std_ohm / targetRatio;
+            // With a bias current the ideal ratio shifts with Rtop, so solve each Rbot
+            const ideal_rbot_ohm = ibias !== 0
+                ? calculateRbot_ohm(vtop, vmid, vbot, rtop_std_ohm, ibias)
+                : rtop_std_ohm / targetRatio;
+            if (!isFinite(ideal_rbot_ohm) || ideal_rbot_ohm <= 0) return null;
             const rbot_std_ohm = findNearestStandardValue(ideal_rbot_ohm, standardValues);
             
             return calculatePairMetrics({
                 vtop, vmid, vbot,
                 rtop_ohm, rbot_ohm,
-                rtop_std_ohm, rbot_std_ohm
+                rtop_std_ohm, rbot_std_ohm,
+                ibias, minBiasRatio, feedback
             });
-        });
+        }).filter(pair => pair !== null);
 
         // Find and mark the closest individual Rtop and Rbot values
         const closest_rtop_std = findNearestStandardValue(rtop_ohm, topResistorSeries);
@@ -285,7 +402,7 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     function calculatePairMetrics(data) {
-        const { vtop, vbot, rtop_ohm, rbot_ohm, rtop_std_ohm, rbot_std_ohm } = data;
+        const { vtop, vmid, vbot, rtop_ohm, rbot_ohm, rtop_std_ohm, rbot_std_ohm, ibias = 0, minBiasRatio = 0, feedback = false } = data;
 
         const ideal_ratio = rbot_ohm !== 0 ? rtop_ohm / rbot_ohm : Infinity;
         const actual_ratio = rbot_std_ohm !== 0 ? rtop_std_ohm / rbot_std_ohm : Infinity;
@@ -293,7 +410,24 @@ document.addEventListener('DOMContentLoaded', () => {
         const ideal_current_A = (rtop_ohm + rbot_ohm) !== 0 ? (vtop - vbot) / (rtop_ohm + rbot_ohm) : 0;
         const actual_current_A = (rtop_std_ohm + rbot_std_ohm) !== 0 ? (vtop - vbot) / (rtop_std_ohm + rbot_std_ohm) : 0;
         
-        const actual_vmid = calculateVmid(vtop, vbot, rtop_std_ohm, rbot_std_ohm);
+        const actual_vmid = calculateVmid(vtop, vbot, rtop_std_ohm, rbot_std_ohm, ibias);
+
+        if (feedback) {
+            // The loop holds Vmid at Vref, so the pair sets Vout; the divider
+            // current is what Rbot carries at Vref
+            const actual_vout = calculateVtop(vmid, vbot, rtop_std_ohm, rbot_std_ohm, ibias);
+            const divider_current_A = (vmid - vbot) / rbot_std_ohm;
+            const biasRatio = ibias !== 0 ? Math.abs(divider_current_A / ibias) : Infinity;
+            return {
+                ...data,
+                ratioError: calculatePercentError(actual_vout, vtop),
+                currentError: calculatePercentError(divider_current_A, (vmid - vbot) / rbot_ohm),
+                actual_vmid: actual_vout,
+                actual_current_mA: divider_current_A * 1000,
+                biasRatio,
+                lowBiasRatio: biasRatio < minBiasRatio
+            };
+        }
 
         return {
             ...data,
@@ -304,6 +438,314 @@ document.addEventListener('DOMContentLoaded', () => {
         };
     }
 
+    // --- Monte Carlo Yield ---
+
+    // Draws a value within ±pct of nominal (normal treats the band as ±3σ)
+    function sampleTolerance(nominal, pct, distribution) {
+        const delta = Math.abs(nominal) * pct / 100;
+        return window.tolerance.sampleRange(nominal, { min: nominal - delta, max: nominal + delta }, distribution);
+    }
+
+    /**
+     * Simulates built units of a divider whose Vmid node is regulated by a
+     * feedback loop. Each unit draws its resistor values, TCRs and reference
+     * once and is checked at both ends of the temperature range; a linear TCR
+     * puts the extremes there. Vmid is the divider output with Vtop fixed;
+     * Vout is the Vtop the loop sets to hold Vmid at the reference.
+     */
+    function runDividerMonteCarlo(params) {
+        const { vtop, vmid, vbot, rtop_ohm, rbot_ohm, ibias, tolPct, tcrPpm, tmin, tmax, refTolPct, specPct, samples, distribution } = params;
+        const temps = tcrPpm > 0 ? [tmin, tmax] : [MC_REFERENCE_TEMP_C];
+        const specDelta = Math.abs(vtop) * specPct / 100;
+        const vmids = [];
+        const vouts = [];
+        let inSpec = 0;
+
+        for (let n = 0; n < samples; n++) {
+            const rtop25 = sampleTolerance(rtop_ohm, tolPct, distribution);
+            const rbot25 = sampleTolerance(rbot_ohm, tolPct, distribution);
+            // TCR is a ±limit rather than a process spread, so it is drawn uniformly
+            const tcrTop = (Math.random() * 2 - 1) * tcrPpm * 1e-6;
+            const tcrBot = (Math.random() * 2 - 1) * tcrPpm * 1e-6;
+            const vref = sampleTolerance(vmid, refTolPct, distribution);
+
+            let unitInSpec = true;
+            temps.forEach(temp => {
+                const dT = temp - MC_REFERENCE_TEMP_C;
+                const rtop = rtop25 * (1 + tcrTop * dT);
+                const rbot = rbot25 * (1 + tcrBot * dT);
+                vmids.push(calculateVmid(vtop, vbot, rtop, rbot, ibias));
+                const vout = calculateVtop(vref, vbot, rtop, rbot, ibias);
+                vouts.push(vout);
+                if (Math.abs(vout - vtop) > specDelta) unitInSpec = false;
+            });
+            if (unitInSpec) inSpec++;
+        }
+
+        return { vmids, vouts, yieldPct: inSpec / samples * 100 };
+    }
+
+    function runDividerYield() {
+        clearError();
+        if (!window.tolerance) {
+            handleError('Monte Carlo yield needs js/tolerance.js, which did not load.');
+            return;
+        }
+        const vtop = utils.getValue('div-vtop');
+        const vmid = utils.getValue('div-vmid');
+        const vbot = utils.getValue('div-vbot');
+        const rtop_kohm = utils.getValue('div-mc-rtop') ?? utils.getValue('div-rtop');
+        const rbot_kohm = utils.getValue('div-mc-rbot') ?? utils.getValue('div-rbot');
+        const tolPct = utils.getValue('div-mc-rtol') || 0;
+        const tcrPpm = utils.getValue('div-mc-tcr') || 0;
+        const tmin = utils.getValue('div-mc-tmin');
+        const tmax = utils.getValue('div-mc-tmax');
+        const refTolPct = utils.getValue('div-mc-vref-tol') || 0;
+        const specPct = utils.getValue('div-mc-spec');
+        const samples = Math.round(utils.getValue('div-mc-samples') || MC_DEFAULT_SAMPLES);
+        const distribution = document.getElementById('div-mc-dist')?.value || 'uniform';
+
+        const fields = [vtop, vmid, vbot, rtop_kohm, rbot_kohm, specPct];
+        const names = ['Vtop', 'Vmid', 'Vbot', 'Rtop', 'Rbot', 'Vout Spec'];
+        if (!utils.validateInputs(fields, names, true)) {
+            const missing = names.filter((_, i) => fields[i] === null || isNaN(fields[i]));
+            handleError(`Please enter values for: ${missing.join(', ')}`);
+            return;
+        }
+        if (vtop <= vmid || vmid <= vbot) {
+            handleError('Voltages must be in the order Vtop > Vmid > Vbot.');
+            return;
+        }
+        if (rtop_kohm <= 0 || rbot_kohm <= 0) {
+            handleError('Rtop and Rbot must be positive.');
+            return;
+        }
+        if (tcrPpm > 0 && (tmin === null || tmax === null || tmin > tmax)) {
+            handleError('Enter a temperature range (Tmin ≤ Tmax) to apply the TCR.');
+            return;
+        }
+        if (samples < 1 || samples > MC_MAX_SAMPLES) {
+            handleError(`Samples must be between 1 and ${MC_MAX_SAMPLES}.`);
+            return;
+        }
+
+        const result = runDividerMonteCarlo({
+            vtop, vmid, vbot,
+            rtop_ohm: rtop_kohm * 1000,
+            rbot_ohm: rbot_kohm * 1000,
+            ibias: readBiasCurrent_A(),
+            tolPct, tcrPpm, tmin, tmax, refTolPct, specPct, samples, distribution
+        });
+
+        displayYieldResults(result);
+        const specDelta = Math.abs(vtop) * specPct / 100;
+        if (window.plot) {
+            window.tolerance.drawHistogram(document.getElementById('div-mc-canvas'), result.vouts, {
+                xLabel: 'Vout (V)',
+                markers: [
+                    { x: vtop - specDelta, label: 'Spec min' },
+                    { x: vtop + specDelta, label: 'Spec max' }
+                ]
+            });
+        }
+    }
+
+    function displayYieldResults(result) {
+        const tbody = document.getElementById('div-mc-body');
+        if (tbody) {
+            tbody.innerHTML = '';
+            [['Vmid (fixed Vtop)', result.vmids], ['Vout (regulated Vtop)', result.vouts]].forEach(([label, values]) => {
+                const stats = window.tolerance.summarize(values);
+                const row = document.createElement('tr');
+                row.innerHTML = `
+                    <td>${label}</td>
+                    <td>${stats.mean.toFixed(4)}</td>
+                    <td>${(stats.std * 1000).toFixed(2)}</td>
+                    <td>${stats.min.toFixed(4)}</td>
+                    <td>${stats.max.toFixed(4)}</td>
+                `;
+                tbody.appendChild(row);
+            });
+        }
+        const yieldEl = document.getElementById('div-mc-yield');
+        if (yieldEl) {
+            yieldEl.textContent = result.yieldPct.toFixed(2);
+            yieldEl.className = getErrorClass(100 - result.yieldPct);
+        }
+    }
+
+    // Loads a standard pair into the yield analysis
+    function selectPairForYield(pair, tolerance = lastTolerance) {
+        utils.setValue('div-mc-rtop', pair.rtop_std_ohm / 1000, 3);
+        utils.setValue('div-mc-rbot', pair.rbot_std_ohm / 1000, 3);
+        if (tolerance !== null) utils.setValue('div-mc-rtol', parseFloat(tolerance), 1);
+        runDividerYield();
+    }
+
+    // --- Full Search ---
+
+    function readAllowedDecades() {
+        return [...document.querySelectorAll('.div-fs-decade')]
+            .filter(box => box.checked)
+            .map(box => parseInt(box.value, 10));
+    }
+
+    // Orders candidates by the sort key, breaking ties by the smaller error
+    function compareCandidates(a, b, { key, ascending }) {
+        return (a[key] - b[key]) * (ascending ? 1 : -1) || a.error - b.error;
+    }
+
+    /**
+     * Scores every Rtop/Rbot combination of the allowed standard values against
+     * the constraints. All passing pairs are ranked by the sort key and the first
+     * FULL_SEARCH_MAX_RESULTS are kept, so a sort covers every passing pair.
+     *
+     * @param {Object} inputs - Validated divider inputs
+     * @param {number[]} values - Allowed standard values (Ω)
+     * @param {Object} limits - { iMin, iMax (A), rMax (Ω), pMax (W) }; null = no limit
+     * @param {Object} sort - { key, ascending }; key is a column's data-sort value
+     * @returns {{pairs: Array<Object>, total: number}} - Kept pair metrics in sort
+     *   order (with ptop_mW / pbot_mW added) and the number of passing pairs
+     */
+    function searchAllPairs(inputs, values, limits, sort) {
+        const { vtop, rtop_ohm, rbot_ohm, feedback } = inputs;
+        const idealRatio = rtop_ohm / rbot_ohm;
+        const within = (value, min, max) => (min === null || value >= min) && (max === null || value <= max);
+        const kept = [];
+        let total = 0;
+
+        values.forEach(rtop => {
+            values.forEach(rbot => {
+                if (limits.rMax !== null && rtop + rbot > limits.rMax) return;
+                const op = calculatePairOperatingPoint(inputs, rtop, rbot);
+                if (!within(op.current, limits.iMin, limits.iMax)) return;
+                if (limits.pMax !== null && (op.ptop > limits.pMax || op.pbot > limits.pMax)) return;
+                total++;
+
+                const candidate = {
+                    rtop,
+                    rbot,
+                    error: Math.abs(feedback
+                        ? (op.vout - vtop) / vtop
+                        : (rtop / rbot - idealRatio) / idealRatio),
+                    v: feedback ? op.vout : op.vnode,
+                    current: op.current,
+                    ptop: op.ptop,
+                    pbot: op.pbot
+                };
+                if (kept.length === FULL_SEARCH_MAX_RESULTS &&
+                    compareCandidates(candidate, kept[kept.length - 1], sort) >= 0) return;
+
+                // Binary insertion keeps the list sorted
+                let lo = 0;
+                let hi = kept.length;
+                while (lo < hi) {
+                    const mid = (lo + hi) >> 1;
+                    if (compareCandidates(kept[mid], candidate, sort) <= 0) lo = mid + 1;
+                    else hi = mid;
+                }
+                kept.splice(lo, 0, candidate);
+                if (kept.length > FULL_SEARCH_MAX_RESULTS) kept.pop();
+            });
+        });
+
+        const pairs = kept.map(({ rtop, rbot, ptop, pbot }) => ({
+            ...calculatePairMetrics({ ...inputs, rtop_std_ohm: rtop, rbot_std_ohm: rbot }),
+            ptop_mW: ptop * 1000,
+            pbot_mW: pbot * 1000
+        }));
+        return { pairs, total };
+    }
+
+    function runDividerFullSearch() {
+        clearError();
+        const validatedInputs = getAndValidateInputValues();
+        if (!validatedInputs) return;
+
+        const tolerance = document.getElementById('div-fs-series')?.value || '1';
+        const decades = readAllowedDecades();
+        if (decades.length === 0) {
+            handleError('Select at least one allowed decade.');
+            return;
+        }
+        const values = utils.getStandardValues(tolerance)
+            .filter(v => decades.includes(Math.floor(Math.log10(v) + 1e-9)));
+
+        const toBase = (id, factor) => {
+            const value = utils.getValue(id);
+            return value === null ? null : value / factor;
+        };
+        const limits = {
+            iMin: toBase('div-fs-imin', utils.constants.MILLI),
+            iMax: toBase('div-fs-imax', utils.constants.MILLI),
+            rMax: toBase('div-fs-rmax', 1 / 1000),
+            pMax: toBase('div-fs-pmax', utils.constants.MILLI)
+        };
+
+        fullSearchResults = { query: { inputs: validatedInputs, values, limits }, tolerance };
+        updateFullSearch();
+    }
+
+    // Ranks the last search by the current sort and redraws the table
+    function updateFullSearch() {
+        const { inputs, values, limits } = fullSearchResults.query;
+        Object.assign(fullSearchResults, searchAllPairs(inputs, values, limits, fullSearchSort));
+        renderFullSearch();
+
+        const { pairs, total } = fullSearchResults;
+        if (total === 0) {
+            handleError('No pair meets the constraints. Relax the current, resistance or power limits, or allow more decades.');
+        }
+        const { key, ascending } = fullSearchSort;
+        const label = document.querySelector(`#div-fs-table th[data-sort="${key}"]`)?.textContent;
+        setText('div-fs-info', total > pairs.length
+            ? `${total} pairs meet the constraints; showing the first ${pairs.length} by ${label}${ascending ? '' : ' (descending)'}.`
+            : total > 0 ? `${total} pairs meet the constraints.` : '');
+    }
+
+    function renderFullSearch() {
+        const tbody = document.getElementById('div-fs-body');
+        if (!tbody || !fullSearchResults) return;
+
+        const { key, ascending } = fullSearchSort;
+        const { pairs } = fullSearchResults;
+
+        document.querySelectorAll('#div-fs-table th[data-sort]').forEach(th => {
+            th.classList.toggle('sorted-asc', th.dataset.sort === key && ascending);
+            th.classList.toggle('sorted-desc', th.dataset.sort === key && !ascending);
+        });
+
+        if (pairs.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="7">No pairs meet the constraints.</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = '';
+        pairs.forEach(pair => {
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td>${(pair.rtop_std_ohm / 1000).toFixed(3)}</td>
+                <td>${(pair.rbot_std_ohm / 1000).toFixed(3)}</td>
+                <td class="${getErrorClass(Math.abs(pair.ratioError))}">${pair.ratioError.toFixed(3)}%</td>
+                <td>${pair.actual_vmid.toFixed(4)}</td>
+                <td${pair.lowBiasRatio ? ` class="error-poor" title="Only ${pair.biasRatio.toFixed(0)}× the feedback bias current"` : ''}>${pair.actual_current_mA.toFixed(pair.actual_current_mA < 0.1 ? 4 : 3)}</td>
+                <td>${pair.ptop_mW.toFixed(3)}</td>
+                <td>${pair.pbot_mW.toFixed(3)}</td>
+            `;
+            row.title = 'Click to run the Monte Carlo yield analysis on this pair';
+            row.addEventListener('click', () => selectPairForYield(pair, fullSearchResults.tolerance));
+            tbody.appendChild(row);
+        });
+    }
+
+    // Re-ranks every passing pair, not just the rows on screen
+    function handleFullSearchSort(key) {
+        fullSearchSort = fullSearchSort.key === key
+            ? { key, ascending: !fullSearchSort.ascending }
+            : { key, ascending: true };
+        if (fullSearchResults) updateFullSearch();
+    }
+
     function calculatePercentError(actual, expected) {
         if (expected === actual) return 0;
         if (expected === 0) return Infinity;
@@ -340,9 +782,11 @@ document.addEventListener('DOMContentLoaded', () => {
                 <td>${(pair.rtop_std_ohm / pair.rbot_std_ohm).toFixed(4)}</td>
                 <td class="${getErrorClass(Math.abs(pair.ratioError))}">${pair.ratioError.toFixed(2)}%</td>
                 <td>${pair.actual_vmid.toFixed(3)}</td>
-                <td>${pair.actual_current_mA.toFixed(2)}</td>
+                <td${pair.lowBiasRatio ? ` class="error-poor" title="Only ${pair.biasRatio.toFixed(0)}× the feedback bias current"` : ''}>${pair.actual_current_mA.toFixed(pair.actual_current_mA < 0.1 ? 4 : 2)}</td>
                 <td class="${getErrorClass(Math.abs(pair.currentError))}">${pair.currentError.toFixed(2)}%</td>
             `;
+            row.title = 'Click to run the Monte Carlo yield analysis on this pair';
+            row.addEventListener('click', () => selectPairForYield(pair));
             tbody.appendChild(row);
         });
     }
@@ -359,8 +803,12 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     function init() {
+        const modeSelect = document.getElementById('div-mode');
+        if (modeSelect) modeSelect.addEventListener('change', handleModeChange);
+        updateModeFields();
+
         // Add Enter key support to input fields
-        const inputIds = ['div-vtop', 'div-vmid', 'div-vbot', 'div-rtop', 'div-rbot'];
+        const inputIds = ['div-vtop', 'div-vmid', 'div-vbot', 'div-rtop', 'div-rbot', 'div-fb-ibias'];
         inputIds.forEach(id => {
             const input = document.getElementById(id);
             if (input) {
@@ -373,11 +821,40 @@ document.addEventListener('DOMContentLoaded', () => {
                 });
             }
         });
+
+        document.querySelectorAll('#div-fs-table th[data-sort]').forEach(th => {
+            th.addEventListener('click', () => handleFullSearchSort(th.dataset.sort));
+        });
+
+        const fullSearchInputIds = ['div-fs-imin', 'div-fs-imax', 'div-fs-rmax', 'div-fs-pmax'];
+        fullSearchInputIds.forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('keypress', (e) => {
+                    if (e.key === 'Enter') runDividerFullSearch();
+                });
+            }
+        });
+
+        const yieldInputIds = [
+            'div-mc-rtop', 'div-mc-rbot', 'div-mc-rtol', 'div-mc-tcr', 'div-mc-tmin',
+            'div-mc-tmax', 'div-mc-vref-tol', 'div-mc-spec', 'div-mc-samples'
+        ];
+        yieldInputIds.forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('keypress', (e) => {
+                    if (e.key === 'Enter') runDividerYield();
+                });
+            }
+        });
     }
-    
+
     // --- Global Export ---
     window.calculateDivider = calculateDivider;
     window.showStandardPairs = showStandardPairs;
+    window.runDividerYield = runDividerYield;
+    window.runDividerFullSearch = runDividerFullSearch;
 
     // --- Initialization ---
     init();
@@ -388,7 +865,7 @@ document.addEventListener('DOMContentLoaded', () => {
             'divider',
             'Resistor Divider',
             'Voltage divider and resistor pair calculator with standard value matching',
-            { calculateDivider, showStandardPairs }
+            { calculateDivider, showStandardPairs, runDividerYield, runDividerFullSearch }
         );
     }
 });
\ No newline at end of file
@@ -0,0 +1,389 @@
+'use strict';
+
+/**
+ * Flying-Capacitor Multilevel (FCML) Buck Calculator (v1.1.0)
+ *
+ * Designs an N-level FCML buck: N - 1 series switch pairs (cells) driven by
+ * phase-shifted PWM, N - 2 flying capacitors between adjacent cells and one
+ * output inductor. N = 2 is a standard buck.
+ *
+ * Calculated Outputs:
+ * - Duty cycle, local duty cycle and the pair of switch-node levels the output sits between
+ * - Per-switch blocking voltage and the ripple frequency seen by the inductor
+ * - Inductor ripple and peak current, and the ripple relative to a 2-level buck
+ *   with the same L and switch frequency
+ * - Nominal voltage, minimum rating and ripple of every flying capacitor
+ * - Natural-balancing caveats for the operating point
+ * - Sweep plot of any output against Iout, Vin, Fsw or L (via js/plot.js)
+ * - Worst-case corners and Monte Carlo spread over toleranced inputs (via js/tolerance.js)
+ *
+ * Key Equations (M = N - 1 cells, cells phase-shifted by 360° / M):
+ * - Duty Cycle: D = Vout / Vin;  local duty Dl = M · D - floor(M · D)
+ * - Switch Blocking Voltage: Vsw = Vin / M
+ * - Flying Cap k (k = 1 … N - 2, counted from the output side): Vck = k · Vin / M
+ * - Inductor Ripple Frequency: feff = M · fsw
+ * - Inductor Ripple: ΔIL = Vsw · Dl · (1 - Dl) / (L · feff)
+ * - Flying Cap Ripple: ΔVc = Iout · tc / (Cfly · fsw), where tc is the fraction
+ *   of the period adjacent cells differ: tc = D - max(0, D - 1/M) - max(0, D + 1/M - 1)
+ *
+ * This module is designed to update all outputs instantaneously whenever a
+ * user modifies an input value, providing a seamless and responsive experience.
+ */
+
+(function() {
+
+// Largest level count accepted
+const MAX_LEVELS = 8;
+
+// Local duty closer than this to a level boundary counts as "at" the boundary
+const BOUNDARY_TOLERANCE = 0.02;
+
+// --- Core Calculation Functions ---
+
+/**
+ * Fraction of the switching period during which two adjacent cells are in
+ * different states, i.e. the flying capacitor between them carries the inductor
+ * current (charging for this long and discharging for as long again).
+ *
+ * @param {number} dutyCycle - Cell duty cycle (0-1)
+ * @param {number} cells - Number of cells (N - 1)
+ * @returns {number} - Charging fraction of the period
+ */
+function calculateFlyingCapChargeFraction(dutyCycle, cells) {
+    const shift = 1 / cells;
+    return dutyCycle - Math.max(0, dutyCycle - shift) - Math.max(0, dutyCycle + shift - 1);
+}
+
+/**
+ * Nominal voltage, minimum rating and ripple of every flying capacitor.
+ *
+ * @param {number} vin - Input voltage (V)
+ * @param {number} iout - Load current (A)
+ * @param {number} dutyCycle - Cell duty cycle (0-1)
+ * @param {number} levels - Level count N
+ * @param {number} fsw - Per-switch frequency (MHz)
+ * @param {number|null} cfly - Effective capacitance per flying cap (µF); null skips the ripple
+ * @param {number} margin - Voltage rating margin (%)
+ * @returns {Array<{index: number, voltage: number, rating: number, ripple: number|null, ripplePct: number|null}>}
+ */
+function calculateFlyingCaps(vin, iout, dutyCycle, levels, fsw, cfly, margin) {
+    const cells = levels - 1;
+    const chargeFraction = calculateFlyingCapChargeFraction(dutyCycle, cells);
+    const ripple = cfly !== null
+        ? iout * chargeFraction / (cfly / utils.constants.MICRO * utils.mhzToHz(fsw))
+        : null;
+
+    const caps = [];
+    for (let k = 1; k <= levels - 2; k++) {
+        const voltage = k * vin / cells;
+        caps.push({
+            index: k,
+            voltage,
+            rating: voltage * (1 + margin / 100),
+            ripple,
+            ripplePct: ripple !== null ? ripple / voltage * 100 : null
+        });
+    }
+    return caps;
+}
+
+/**
+ * Lists the natural-balancing caveats that apply to an operating point.
+ *
+ * @param {Object} r - Results from computeFcmlMetrics()
+ * @param {number} levels - Level count N
+ * @returns {Array<string>} - Caveat sentences (empty for N = 2)
+ */
+function listBalancingCaveats(r, levels) {
+    if (levels < 3) return [];
+    const caveats = [
+        'Natural balancing assumes phase-shifted PWM with the same duty and timing in every cell; ' +
+            'mismatch offsets the flying-cap voltages, so monitor them or add active balancing.',
+        'Precharge the flying caps to their nominal voltages before switching; an uncharged cap ' +
+            'leaves the outer switches blocking up to the full input voltage.'
+    ];
+    if (r.dutyLocal < BOUNDARY_TOLERANCE || r.dutyLocal > 1 - BOUNDARY_TOLERANCE) {
+        caveats.push('D is close to a level boundary j/(N-1): the switch node barely toggles, so ' +
+            'the ripple current that drives natural balancing nearly vanishes and balancing slows.');
+    }
+    if (r.isDcm) {
+        caveats.push('Iout is below the CCM boundary (ΔIL / 2): the inductor current reaches zero, ' +
+            'balancing weakens and the flying-cap voltages can drift.');
+    }
+    if (levels > 3) {
+        caveats.push('Balancing time constants grow with the level count; check the cap voltages ' +
+            'during load and input transients, not just in steady state.');
+    }
+    return caveats;
+}
+
+
+// --- Main Orchestration Functions ---
+
+let sweep = null;
+let tolerance = null;
+
+function readFcmlInputs() {
+    return {
+        vin: utils.getValue('fcml-vin'),
+        vout: utils.getValue('fcml-vout'),
+        iout: utils.getValue('fcml-iout'),
+        levels: utils.getValue('fcml-levels'),
+        fsw: utils.getValue('fcml-fsw'),
+        inductance: utils.getValue('fcml-inductance'),
+        // Flying capacitance is optional; without it the cap ripple is left blank
+        cfly: utils.getValue('fcml-cfly'),
+        margin: utils.getValue('fcml-margin') || 0
+    };
+}
+
+/**
+ * Computes every FCML output for one operating point (no DOM access).
+ *
+ * @param {Object} inputs - Values as returned by readFcmlInputs()
+ * @returns {Object} - { error } when the operating point is invalid, otherwise
+ *   { dutyCycle, dutyLocal, levelLow, levelHigh, vsw, fswEff, multiplier, ilpp, ipk,
+ *     rippleRatio, isDcm, caps }
+ */
+function computeFcmlMetrics(inputs) {
+    const { vin, vout, iout, levels, fsw, inductance, cfly, margin } = inputs;
+
+    // 1. Validate inputs silently
+    const coreInputs = [vin, vout, iout, levels, fsw, inductance];
+    const coreInputNames = [
+        'Input Voltage', 'Output Voltage', 'Output Current', 'Levels',
+        'Switching Freq', 'Inductance'
+    ];
+
+    if (!utils.validateInputs(coreInputs, coreInputNames, true)) {
+        return { error: 'Enter Vin, Vout, Iout, the level count, Fsw and L to calculate.' };
+    }
+
+    if ([vin, vout, iout, fsw, inductance].some(v => v <= 0)) {
+        return { error: 'Vin, Vout, Iout, Fsw and L must be positive values.' };
+    }
+
+    if (vout >= vin) {
+        return { error: 'Vout must be less than Vin for a buck converter.' };
+    }
+
+    if (!Number.isInteger(levels) || levels < 2 || levels > MAX_LEVELS) {
+        return { error: `Levels must be an integer from 2 to ${MAX_LEVELS}.` };
+    }
+
+    if (cfly !== null && cfly <= 0) {
+        return { error: 'Flying capacitance must be positive (leave blank to skip the cap ripple).' };
+    }
+
+    if (margin < 0) {
+        return { error: 'Voltage rating margin cannot be negative.' };
+    }
+
+    // 2. Perform calculations in order of dependency
+    const cells = levels - 1;
+    const dutyCycle = vout / vin;
+    const level = Math.floor(cells * dutyCycle);
+    const dutyLocal = cells * dutyCycle - level;
+    const vsw = vin / cells;
+
+    const fswEff = fsw * cells;
+    const lH = inductance / utils.constants.MICRO;
+    const ilpp = vsw * dutyLocal * (1 - dutyLocal) / (lH * utils.mhzToHz(fswEff));
+    const twoLevelRipple = vin * dutyCycle * (1 - dutyCycle) / (lH * utils.mhzToHz(fsw));
+
+    return {
+        dutyCycle,
+        dutyLocal,
+        levelLow: level * vsw,
+        levelHigh: (level + 1) * vsw,
+        vsw,
+        fswEff,
+        multiplier: cells,
+        ilpp,
+        ipk: iout + ilpp / 2,
+        rippleRatio: ilpp / twoLevelRipple,
+        isDcm: iout < ilpp / 2,
+        caps: calculateFlyingCaps(vin, iout, dutyCycle, levels, fsw, cfly, margin)
+    };
+}
+
+/**
+ * Maps one operating point to the values offered by the sweep plot and tolerance analysis
+ *
+ * @param {Object} inputs - Values as returned by readFcmlInputs()
+ * @returns {Object|null} - Plottable outputs, or null if the point is invalid
+ */
+function evaluateFcmlSweepPoint(inputs) {
+    const result = computeFcmlMetrics(inputs);
+    if (result.error) return null;
+    const capRipple = result.caps.length > 0 && result.caps[0].ripple !== null
+        ? result.caps[0].ripple * utils.constants.MILLI
+        : null;
+    return {
+        ilpp: result.ilpp,
+        ipk: result.ipk,
+        dutyLocal: result.dutyLocal * 100,
+        rippleRatio: result.rippleRatio * 100,
+        capRipple
+    };
+}
+
+function displayCapTable(tbody, caps) {
+    if (caps.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="5">No flying capacitors at N = 2</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = '';
+    caps.forEach(cap => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>C${cap.index}</td>
+            <td>${cap.voltage.toFixed(2)}</td>
+            <td>${cap.rating.toFixed(1)}</td>
+            <td>${cap.ripple !== null ? (cap.ripple * utils.constants.MILLI).toFixed(1) : '—'}</td>
+            <td>${cap.ripplePct !== null ? cap.ripplePct.toFixed(2) : '—'}</td>
+        `;
+        tbody.appendChild(row);
+    });
+}
+
+function displayCaveats(container, caveats) {
+    container.innerHTML = '';
+    caveats.forEach(text => {
+        const p = document.createElement('p');
+        p.className = 'info-text';
+        p.textContent = text;
+        container.appendChild(p);
+    });
+}
+
+function calculateAllFcmlMetrics() {
+    const errorEl = document.getElementById('fcml-error');
+    const setError = (msg) => { if (errorEl) errorEl.textContent = msg || ''; };
+    const spanEl = document.getElementById('fcml-level-span');
+    const setSpan = (text) => { if (spanEl) spanEl.value = text; };
+    const tbody = document.getElementById('fcml-cap-body');
+    const caveatsEl = document.getElementById('fcml-caveats');
+    const clearOutputs = () => {
+        ['fcml-duty', 'fcml-duty-local', 'fcml-vsw', 'fcml-fsw-eff', 'fcml-multiplier',
+            'fcml-ilpp', 'fcml-ipk', 'fcml-ripple-ratio', 'fcml-ncaps'
+        ].forEach(id => utils.setValue(id, '', 2));
+        setSpan('—');
+        if (tbody) tbody.innerHTML = '<tr><td colspan="5">Enter a valid operating point to size the flying caps</td></tr>';
+        if (caveatsEl) caveatsEl.innerHTML = '';
+    };
+
+    setError('');
+    if (sweep) sweep.refresh();
+    if (tolerance) tolerance.refresh();
+
+    const inputs = readFcmlInputs();
+    const result = computeFcmlMetrics(inputs);
+    if (result.error) {
+        clearOutputs();
+        setError(result.error);
+        return;
+    }
+
+    // Update the UI
+    utils.setValue('fcml-duty', result.dutyCycle * 100, 2);
+    utils.setValue('fcml-duty-local', result.dutyLocal * 100, 2);
+    setSpan(`${result.levelLow.toFixed(2)} – ${result.levelHigh.toFixed(2)} V`);
+    utils.setValue('fcml-vsw', result.vsw, 2);
+    utils.setValue('fcml-fsw-eff', result.fswEff, 3);
+    utils.setValue('fcml-multiplier', result.multiplier, 0);
+    utils.setValue('fcml-ilpp', result.ilpp, 3);
+    utils.setValue('fcml-ipk', result.ipk, 3);
+    utils.setValue('fcml-ripple-ratio', result.rippleRatio * 100, 1);
+    utils.setValue('fcml-ncaps', result.caps.length, 0);
+
+    if (tbody) displayCapTable(tbody, result.caps);
+    if (caveatsEl) displayCaveats(caveatsEl, listBalancingCaveats(result, inputs.levels));
+}
+
+
+// --- Event Listener Setup ---
+
+function setupEventListeners() {
+    const fcmlInputIds = [
+        'fcml-vin', 'fcml-vout', 'fcml-iout', 'fcml-levels',
+        'fcml-fsw', 'fcml-inductance', 'fcml-cfly', 'fcml-margin'
+    ];
+
+    fcmlInputIds.forEach(id => {
+        const input = document.getElementById(id);
+        if (input) {
+            input.addEventListener('input', calculateAllFcmlMetrics);
+            // Add Enter key support
+            input.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') calculateAllFcmlMetrics();
+            });
+        }
+    });
+}
+
+// --- Initialization ---
+function init() {
+    setupEventListeners();
+
+    const outputs = [
+        { key: 'ilpp', label: 'ΔIL', unit: 'A' },
+        { key: 'ipk', label: 'IL(peak)', unit: 'A' },
+        { key: 'dutyLocal', label: 'Local Duty Cycle', unit: '%' },
+        { key: 'rippleRatio', label: 'Ripple vs 2-Level', unit: '%' },
+        { key: 'capRipple', label: 'Flying-Cap Ripple', unit: 'mV' }
+    ];
+
+    if (window.plot) {
+        sweep = window.plot.createSweep({
+            id: 'fcml',
+            containerId: 'fcml-sweep',
+            variables: [
+                { key: 'vin', label: 'Input Voltage', unit: 'V' },
+                { key: 'iout', label: 'Output Current', unit: 'A' },
+                { key: 'fsw', label: 'Switching Freq', unit: 'MHz' },
+                { key: 'inductance', label: 'Inductance', unit: 'µH' }
+            ],
+            outputs,
+            readInputs: readFcmlInputs,
+            evaluate: evaluateFcmlSweepPoint
+        });
+    }
+
+    if (window.tolerance) {
+        tolerance = window.tolerance.createToleranceAnalysis({
+            id: 'fcml',
+            containerId: 'fcml-tolerance',
+            variables: [
+                { key: 'vin', label: 'Input Voltage', unit: 'V' },
+                { key: 'vout', label: 'Output Voltage', unit: 'V' },
+                { key: 'iout', label: 'Output Current', unit: 'A' },
+                { key: 'fsw', label: 'Switching Freq', unit: 'MHz' },
+                { key: 'inductance', label: 'Inductance', unit: 'µH' },
+                { key: 'cfly', label: 'Flying Cap', unit: 'µF' }
+            ],
+            outputs,
+            readInputs: readFcmlInputs,
+            evaluate: evaluateFcmlSweepPoint
+        });
+    }
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+} else {
+    init();
+}
+
+// Register with calculator registry
+if (window.calculatorRegistry) {
+    window.calculatorRegistry.register(
+        'fcml',
+        'FCML Buck',
+        'Flying-capacitor multilevel buck converter calculator',
+        { calculateAllFcmlMetrics }
+    );
+}
+
+})();
@@ -0,0 +1,402 @@
+'use strict';
+
+/**
+ * Flyback Converter Calculator (v1.1.0)
+ *
+ * Calculates the operating point, transformer currents, switch stress and RCD
+ * clamp of a single-output flyback converter over an input voltage range.
+ *
+ * Calculated Outputs:
+ * - Reflected Voltage and the critical magnetizing inductance (CCM/DCM boundary)
+ * - Operating mode (CCM or DCM) and duty cycle at Vin(min) and Vin(max)
+ * - Primary and secondary peak and RMS currents (worst case over the Vin range)
+ * - MOSFET Vds stress with an RCD clamp, and the unclamped leakage spike estimate
+ * - Output diode reverse voltage
+ * - RCD clamp voltage, dissipation, resistor and capacitor
+ * - Sweep plot of any output against Vin, Iout, Fsw, Lm or n (via js/plot.js)
+ * - Worst-case corners and Monte Carlo spread over toleranced inputs (via js/tolerance.js)
+ *
+ * Key Flyback Equations (n = Np/Ns, Pin = (Vout + Vf) · Iout / η):
+ * - Reflected Voltage: Vr = n · (Vout + Vf)
+ * - CCM Duty Cycle: D = Vr / (Vin + Vr)
+ * - CCM Primary Current: Ipk = Pin / (Vin · D) + ΔIp/2, with ΔIp = Vin · D / (Lm · fsw)
+ * - DCM (when the CCM valley current would fall to zero):
+ *   Ipk = √(2 · Pin / (Lm · fsw)), D = Ipk · Lm · fsw / Vin,
+ *   secondary conducts for D2 = Vin · D / Vr
+ * - Critical Inductance: Lcrit = (Vin · D)² / (2 · Pin · fsw)  (DCM below Lcrit)
+ * - Secondary Current: Is = n · Ip at the switch turn-off instant
+ *
+ * Switch Stress and RCD Clamp (Vc = clamp ratio · Vr):
+ * - Clamped Vds: Vin(max) + Vc
+ * - Leakage Spike (no clamp): ΔV = Ipk · √(Llk / Coss), Vds = Vin(max) + Vr + ΔV
+ * - Clamp Dissipation: Pc = ½ · Llk · Ipk² · fsw · Vc / (Vc - Vr)
+ * - Clamp Resistor: Rc = Vc² / Pc
+ * - Clamp Capacitor: Cc = Vc / (ΔVc · Rc · fsw)  (ΔVc = clamp ripple)
+ *
+ * This module is designed to update all outputs instantaneously whenever a
+ * user modifies an input value, providing a seamless and responsive experience.
+ */
+
+(function() {
+
+// --- Core Calculation Functions ---
+
+/**
+ * Calculates the mode, duty cycle and winding currents at one input voltage.
+ *
+ * @param {Object} p - Operating point
+ * @param {number} p.vin - Input voltage (V)
+ * @param {number} p.vr - Reflected voltage (V)
+ * @param {number} p.pin - Input power (W)
+ * @param {number} p.turns - Turns ratio Np/Ns
+ * @param {number} p.lm - Magnetizing inductance (µH)
+ * @param {number} p.fsw - Switching frequency (MHz)
+ * @returns {Object} - { mode, dutyCycle, ippk, iprms, ispk, isrms, lcrit }
+ */
+function calculateFlybackOperatingPoint(p) {
+    const fswHz = utils.mhzToHz(p.fsw);
+    const lmH = p.lm / utils.constants.MICRO;
+
+    const dCcm = p.vr / (p.vin + p.vr);
+    const ipAvgOn = p.pin / (p.vin * dCcm);
+    const dip = p.vin * dCcm / (lmH * fswHz);
+    const ipValley = ipAvgOn - dip / 2;
+    const lcrit = Math.pow(p.vin * dCcm, 2) / (2 * p.pin * fswHz) * utils.constants.MICRO;
+
+    if (ipValley > 0) {
+        const ippk = ipAvgOn + dip / 2;
+        return {
+            mode: 'CCM',
+            dutyCycle: dCcm,
+            ippk,
+            iprms: Math.sqrt(utils.segmentMeanSquare(dCcm, ipValley, ippk)),
+            ispk: p.turns * ippk,
+            isrms: Math.sqrt(utils.segmentMeanSquare(1 - dCcm, p.turns * ipValley, p.turns * ippk)),
+            lcrit
+        };
+    }
+
+    const ippk = Math.sqrt(2 * p.pin / (lmH * fswHz));
+    const dutyCycle = ippk * lmH * fswHz / p.vin;
+    const dischargeFraction = p.vin * dutyCycle / p.vr;
+    return {
+        mode: 'DCM',
+        dutyCycle,
+        ippk,
+        iprms: Math.sqrt(utils.segmentMeanSquare(dutyCycle, 0, ippk)),
+        ispk: p.turns * ippk,
+        isrms: Math.sqrt(utils.segmentMeanSquare(dischargeFraction, 0, p.turns * ippk)),
+        lcrit
+    };
+}
+
+/**
+ * Sizes the RCD clamp that absorbs the leakage inductance energy.
+ *
+ * @param {Object} p - Clamp parameters
+ * @param {number} p.vr - Reflected voltage (V)
+ * @param {number} p.clampRatio - Clamp voltage as a multiple of Vr (> 1)
+ * @param {number} p.clampRipple - Clamp voltage ripple (%)
+ * @param {number} p.llk - Leakage inductance (µH)
+ * @param {number} p.ippk - Primary peak current (A)
+ * @param {number} p.fsw - Switching frequency (MHz)
+ * @returns {Object} - { vclamp, power (W), resistance (kΩ), capacitance (nF) }
+ */
+function calculateFlybackClamp(p) {
+    const fswHz = utils.mhzToHz(p.fsw);
+    const llkH = p.llk / utils.constants.MICRO;
+    const vclamp = p.clampRatio * p.vr;
+
+    const power = 0.5 * llkH * p.ippk * p.ippk * fswHz * vclamp / (vclamp - p.vr);
+    if (power <= 0) {
+        return { vclamp, power, resistance: null, capacitance: null };
+    }
+    const resistance = vclamp * vclamp / power;
+    const capacitance = vclamp / ((p.clampRipple / 100) * vclamp * resistance * fswHz);
+    return {
+        vclamp,
+        power,
+        resistance: resistance / utils.constants.KILO,
+        capacitance: capacitance * utils.constants.NANO
+    };
+}
+
+/**
+ * Estimates the drain voltage ringing caused by leakage inductance when no
+ * clamp is fitted: the leakage energy is dumped into the switch node capacitance.
+ *
+ * @param {number} ippk - Primary peak current (A)
+ * @param {number} llk - Leakage inductance (µH)
+ * @param {number} coss - Switch node capacitance (pF)
+ * @returns {number} - Spike above Vin + Vr (V)
+ */
+function calculateFlybackLeakageSpike(ippk, llk, coss) {
+    const llkH = llk / utils.constants.MICRO;
+    const cossF = coss * 1e-12;
+    return ippk * Math.sqrt(llkH / cossF);
+}
+
+
+// --- Main Orchestration Functions ---
+
+let sweep = null;
+let tolerance = null;
+
+function readFlybackInputs() {
+    return {
+        vinMin: utils.getValue('fly-vin-min'),
+        vinMax: utils.getValue('fly-vin-max'),
+        vout: utils.getValue('fly-vout'),
+        iout: utils.getValue('fly-iout'),
+        fsw: utils.getValue('fly-fsw'),
+        turns: utils.getValue('fly-turns'),
+        lm: utils.getValue('fly-lm'),
+        vf: utils.getValue('fly-vf'),
+        efficiency: utils.getValue('fly-eff'),
+        llk: utils.getValue('fly-llk'),
+        coss: utils.getValue('fly-coss'),
+        clampRatio: utils.getValue('fly-clamp-ratio'),
+        clampRipple: utils.getValue('fly-clamp-ripple')
+    };
+}
+
+/**
+ * Computes every flyback output for one design (no DOM access).
+ *
+ * @param {Object} inputs - Values as returned by readFlybackInputs()
+ * @returns {Object} - { error } when the design is invalid, otherwise
+ *   { vr, low, high, ippk, iprms, ispk, isrms, vdsClamped, spike, vdsUnclamped, vdiode, clamp }
+ *   where low/high are the operating points at Vin(min)/Vin(max)
+ */
+function computeFlybackMetrics(inputs) {
+    const {
+        vinMin, vinMax, vout, iout, fsw, turns, lm, vf, efficiency,
+        llk, coss, clampRatio, clampRipple
+    } = inputs;
+
+    // 1. Validate inputs silently
+    const coreInputs = [
+        vinMin, vinMax, vout, iout, fsw, turns, lm, vf, efficiency,
+        llk, coss, clampRatio, clampRipple
+    ];
+    const coreInputNames = [
+        'Vin (min)', 'Vin (max)', 'Output Voltage', 'Output Current', 'Switching Freq',
+        'Turns Ratio', 'Magnetizing L', 'Diode Vf', 'Efficiency',
+        'Leakage L', 'Coss', 'Clamp Ratio', 'Clamp Ripple'
+    ];
+
+    if (!utils.validateInputs(coreInputs, coreInputNames, true)) {
+        return { error: 'Enter the Vin range, Vout, Iout, Fsw, n, Lm and the clamp parameters to calculate.' };
+    }
+
+    if ([vinMin, vinMax, vout, iout, fsw, turns, lm, llk, coss].some(v => v <= 0) || vf < 0) {
+        return { error: 'Voltages, currents, Fsw, n, Lm, Llk and Coss must be positive values.' };
+    }
+
+    if (vinMin > vinMax) {
+        return { error: 'Vin (min) must not exceed Vin (max).' };
+    }
+
+    if (efficiency <= 0 || efficiency > 100) {
+        return { error: 'Efficiency must be in (0, 100]%.' };
+    }
+
+    if (clampRatio <= 1) {
+        return { error: 'Clamp ratio must be greater than 1 (Vc above the reflected voltage).' };
+    }
+
+    if (clampRipple <= 0) {
+        return { error: 'Clamp ripple must be a positive value.' };
+    }
+
+    // 2. Perform calculations in order of dependency
+    const vr = turns * (vout + vf);
+    const pin = (vout + vf) * iout / (efficiency / 100);
+    const point = (vin) => calculateFlybackOperatingPoint({ vin, vr, pin, turns, lm, fsw });
+    const low = point(vinMin);
+    const high = point(vinMax);
+
+    // Worst case currents over the input range
+    const worst = low.ippk >= high.ippk ? low : high;
+    const clamp = calculateFlybackClamp({ vr, clampRatio, clampRipple, llk, ippk: worst.ippk, fsw });
+    const spike = calculateFlybackLeakageSpike(worst.ippk, llk, coss);
+
+    return {
+        vr,
+        low,
+        high,
+        ippk: worst.ippk,
+        iprms: Math.max(low.iprms, high.iprms),
+        ispk: worst.ispk,
+        isrms: Math.max(low.isrms, high.isrms),
+        vdsClamped: vinMax + clamp.vclamp,
+        spike,
+        vdsUnclamped: vinMax + vr + spike,
+        vdiode: vout + vinMax / turns,
+        clamp
+    };
+}
+
+/**
+ * Maps one design to the values offered by the sweep plot and tolerance analysis
+ *
+ * @param {Object} inputs - Values as returned by readFlybackInputs()
+ * @returns {Object|null} - Plottable outputs, or null if the design is invalid
+ */
+function evaluateFlybackSweepPoint(inputs) {
+    const result = computeFlybackMetrics(inputs);
+    if (result.error) return null;
+    return {
+        dutyMin: result.low.dutyCycle * 100,
+        dutyMax: result.high.dutyCycle * 100,
+        ippk: result.ippk,
+        iprms: result.iprms,
+        isrms: result.isrms,
+        vds: result.vdsClamped,
+        pclamp: result.clamp.power
+    };
+}
+
+function calculateAllFlybackMetrics() {
+    const errorEl = document.getElementById('fly-error');
+    const setError = (msg) => { if (errorEl) errorEl.textContent = msg || ''; };
+    const setText = (id, text) => {
+        const el = document.getElementById(id);
+        if (el) el.value = text;
+    };
+    const clearOutputs = () => {
+        setText('fly-mode-min', '—');
+        setText('fly-mode-max', '—');
+        ['fly-vr', 'fly-duty-min', 'fly-duty-max', 'fly-lcrit',
+            'fly-ippk', 'fly-iprms', 'fly-ispk', 'fly-isrms',
+            'fly-vds', 'fly-spike', 'fly-vds-unclamped', 'fly-vdiode',
+            'fly-vclamp', 'fly-pclamp', 'fly-rclamp', 'fly-cclamp'
+        ].forEach(id => utils.setValue(id, '', 2));
+    };
+
+    setError('');
+    if (sweep) sweep.refresh();
+    if (tolerance) tolerance.refresh();
+
+    const result = computeFlybackMetrics(readFlybackInputs());
+    if (result.error) {
+        clearOutputs();
+        setError(result.error);
+        return;
+    }
+
+    // Update the UI
+    utils.setValue('fly-vr', result.vr, 2);
+    setText('fly-mode-min', result.low.mode);
+    utils.setValue('fly-duty-min', result.low.dutyCycle * 100, 2);
+    setText('fly-mode-max', result.high.mode);
+    utils.setValue('fly-duty-max', result.high.dutyCycle * 100, 2);
+    utils.setValue('fly-lcrit', result.high.lcrit, 2);
+
+    utils.setValue('fly-ippk', result.ippk, 3);
+    utils.setValue('fly-iprms', result.iprms, 3);
+    utils.setValue('fly-ispk', result.ispk, 3);
+    utils.setValue('fly-isrms', result.isrms, 3);
+
+    utils.setValue('fly-vds', result.vdsClamped, 1);
+    utils.setValue('fly-spike', result.spike, 1);
+    utils.setValue('fly-vds-unclamped', result.vdsUnclamped, 1);
+    utils.setValue('fly-vdiode', result.vdiode, 1);
+
+    utils.setValue('fly-vclamp', result.clamp.vclamp, 1);
+    utils.setValue('fly-pclamp', result.clamp.power, 3);
+    utils.setValue('fly-rclamp', result.clamp.resistance, 2);
+    utils.setValue('fly-cclamp', result.clamp.capacitance, 2);
+}
+
+
+// --- Event Listener Setup ---
+
+function setupEventListeners() {
+    const flyInputIds = [
+        'fly-vin-min', 'fly-vin-max', 'fly-vout', 'fly-iout', 'fly-fsw',
+        'fly-turns', 'fly-lm', 'fly-vf', 'fly-eff',
+        'fly-llk', 'fly-coss', 'fly-clamp-ratio', 'fly-clamp-ripple'
+    ];
+
+    flyInputIds.forEach(id => {
+        const input = document.getElementById(id);
+        if (input) {
+            input.addEventListener('input', calculateAllFlybackMetrics);
+            // Add Enter key support
+            input.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') calculateAllFlybackMetrics();
+            });
+        }
+    });
+}
+
+// --- Initialization ---
+function init() {
+    setupEventListeners();
+
+    const outputs = [
+        { key: 'dutyMin', label: 'Duty @ Vin(min)', unit: '%' },
+        { key: 'dutyMax', label: 'Duty @ Vin(max)', unit: '%' },
+        { key: 'ippk', label: 'Primary Peak', unit: 'A' },
+        { key: 'iprms', label: 'Primary RMS', unit: 'A' },
+        { key: 'isrms', label: 'Secondary RMS', unit: 'A' },
+        { key: 'vds', label: 'Vds (clamped)', unit: 'V' },
+        { key: 'pclamp', label: 'Clamp Dissipation', unit: 'W' }
+    ];
+
+    if (window.plot) {
+        sweep = window.plot.createSweep({
+            id: 'fly',
+            containerId: 'fly-sweep',
+            variables: [
+                { key: 'vinMin', label: 'Vin (min)', unit: 'V' },
+                { key: 'vinMax', label: 'Vin (max)', unit: 'V' },
+                { key: 'iout', label: 'Output Current', unit: 'A' },
+                { key: 'fsw', label: 'Switching Freq', unit: 'MHz' },
+                { key: 'lm', label: 'Magnetizing L', unit: 'µH' },
+                { key: 'turns', label: 'Turns Ratio', unit: 'Np/Ns' }
+            ],
+            outputs,
+            readInputs: readFlybackInputs,
+            evaluate: evaluateFlybackSweepPoint
+        });
+    }
+
+    if (window.tolerance) {
+        tolerance = window.tolerance.createToleranceAnalysis({
+            id: 'fly',
+            containerId: 'fly-tolerance',
+            variables: [
+                { key: 'vinMin', label: 'Vin (min)', unit: 'V' },
+                { key: 'vinMax', label: 'Vin (max)', unit: 'V' },
+                { key: 'vout', label: 'Output Voltage', unit: 'V' },
+                { key: 'iout', label: 'Output Current', unit: 'A' },
+                { key: 'fsw', label: 'Switching Freq', unit: 'MHz' },
+                { key: 'lm', label: 'Magnetizing L', unit: 'µH' },
+                { key: 'llk', label: 'Leakage L', unit: 'µH' }
+            ],
+            outputs,
+            readInputs: readFlybackInputs,
+            evaluate: evaluateFlybackSweepPoint
+        });
+    }
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+} else {
+    init();
+}
+
+// Register with calculator registry
+if (window.calculatorRegistry) {
+    window.calculatorRegistry.register(
+        'flyback',
+        'Flyback',
+        'Isolated flyback converter with transformer and RCD clamp design',
+        { calculateAllFlybackMetrics }
+    );
+}
+
+})();
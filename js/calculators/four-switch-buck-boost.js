@@ -0,0 +1,313 @@
+'use strict';
+
+/**
+ * Non-Inverting 4-Switch Buck-Boost Calculator (v1.1.0)
+ *
+ * Calculates the operating region, per-leg duty cycles and inductor currents of
+ * a four-switch (H-bridge) buck-boost converter. Q1/Q2 form the input (buck)
+ * leg and Q3/Q4 the output (boost) leg around a single inductor.
+ *
+ * Calculated Outputs:
+ * - Operating Region (Buck, Buck-Boost or Boost) and the Vout limits of each region
+ * - Buck-Leg Duty Cycle (D1, Q1 on-time) and Boost-Leg Duty Cycle (D2, Q3 on-time)
+ * - Inductor Current Ripple (ΔIL), Average and Peak Inductor Current
+ * - Sweep plot of any output against Vin, Iout, Fsw or L (via js/plot.js)
+ * - Worst-case corners and Monte Carlo spread over toleranced inputs (via js/tolerance.js)
+ *
+ * Operating Regions (limited by the maximum buck duty and minimum boost duty):
+ * - Buck: Vout ≤ Vin · D1max. Q4 stays on; D1 = Vout / Vin, D2 = 0
+ * - Boost: Vout ≥ Vin / (1 - D2min). Q1 stays on; D1 = 1, D2 = 1 - Vin / Vout
+ * - Buck-Boost: both legs switch. The boost leg runs at D2min and
+ *   D1 = Vout · (1 - D2min) / Vin; once D1 reaches D1max the buck leg holds
+ *   there and D2 = 1 - Vin · D1max / Vout
+ *
+ * Inductor Current (Q1 and Q3 turn on together):
+ * - Average: IL = Iout / (1 - D2)  (the output only receives current while Q4 conducts)
+ * - Ripple: peak-to-peak of the piecewise-linear waveform built from the switch
+ *   intervals (Vin with Q1+Q3, Vin - Vout with Q1+Q4, 0 with Q2+Q3, -Vout with Q2+Q4)
+ *
+ * This module is designed to update all outputs instantaneously whenever a
+ * user modifies an input value, providing a seamless and responsive experience.
+ */
+
+(function() {
+
+// --- Core Calculation Functions ---
+
+/**
+ * Determines the operating region and the duty cycle of each leg.
+ *
+ * @param {number} vin - Input voltage (V)
+ * @param {number} vout - Output voltage (V)
+ * @param {number} d1Max - Maximum buck-leg duty cycle (0-1)
+ * @param {number} d2Min - Minimum boost-leg duty cycle (0-1)
+ * @returns {{region: string, d1: number, d2: number}}
+ */
+function calculateFourSwitchDutyCycles(vin, vout, d1Max, d2Min) {
+    if (vout <= vin * d1Max) {
+        return { region: 'Buck', d1: vout / vin, d2: 0 };
+    }
+    if (vout >= vin / (1 - d2Min)) {
+        return { region: 'Boost', d1: 1, d2: 1 - vin / vout };
+    }
+
+    const d1 = vout * (1 - d2Min) / vin;
+    if (d1 <= d1Max) {
+        return { region: 'Buck-Boost', d1, d2: d2Min };
+    }
+    return { region: 'Buck-Boost', d1: d1Max, d2: 1 - vin * d1Max / vout };
+}
+
+/**
+ * Peak-to-peak ripple of the inductor current over one switching period.
+ *
+ * @param {number} vin - Input voltage (V)
+ * @param {number} vout - Output voltage (V)
+ * @param {number} d1 - Buck-leg duty cycle (0-1)
+ * @param {number} d2 - Boost-leg duty cycle (0-1)
+ * @param {number} inductance - Inductance (µH)
+ * @param {number} fsw - Switching frequency (MHz)
+ * @returns {number|null} - ΔIL (A)
+ */
+function calculateFourSwitchRipple(vin, vout, d1, d2, inductance, fsw) {
+    const fswHz = utils.mhzToHz(fsw);
+    const lH = inductance / utils.constants.MICRO;
+    if (fswHz * lH === 0) return null;
+
+    // Inductor voltage in each interval, both legs turning on at t = 0
+    const first = Math.min(d1, d2);
+    const second = Math.max(d1, d2);
+    const middleVoltage = d1 > d2 ? vin - vout : 0; // Q1+Q4, or Q2+Q3 when D2 > D1
+    const segments = [
+        { fraction: first, voltage: vin },
+        { fraction: second - first, voltage: middleVoltage },
+        { fraction: 1 - second, voltage: -vout }
+    ];
+
+    let current = 0;
+    let min = 0;
+    let max = 0;
+    segments.forEach(segment => {
+        current += segment.voltage * segment.fraction / (fswHz * lH);
+        min = Math.min(min, current);
+        max = Math.max(max, current);
+    });
+    return max - min;
+}
+
+function calculateFourSwitchILavg(iout, d2) {
+    const denominator = 1 - d2;
+    if (denominator <= 0) return null;
+    return iout / denominator;
+}
+
+
+// --- Main Orchestration Functions ---
+
+let sweep = null;
+let tolerance = null;
+
+function readFourSwitchInputs() {
+    return {
+        vin: utils.getValue('fsbb-vin'),
+        vout: utils.getValue('fsbb-vout'),
+        iout: utils.getValue('fsbb-iout'),
+        inductance: utils.getValue('fsbb-inductance'),
+        fsw: utils.getValue('fsbb-fsw'),
+        d1Max: utils.getValue('fsbb-d1max'),
+        d2Min: utils.getValue('fsbb-d2min')
+    };
+}
+
+/**
+ * Computes every 4-switch buck-boost output for one operating point (no DOM access).
+ *
+ * @param {Object} inputs - Values as returned by readFourSwitchInputs()
+ * @returns {Object} - { error } when the operating point is invalid, otherwise
+ *   { region, d1, d2, ilpp, ilavg, ilpk, buckLimit, boostLimit }
+ */
+function computeFourSwitchMetrics(inputs) {
+    const { vin, vout, iout, inductance, fsw, d1Max, d2Min } = inputs;
+
+    // 1. Validate inputs silently
+    const coreInputs = [vin, vout, iout, inductance, fsw, d1Max, d2Min];
+    const coreInputNames = [
+        'Input Voltage', 'Output Voltage', 'Output Current', 'Inductance',
+        'Switching Freq', 'Max Buck Duty', 'Min Boost Duty'
+    ];
+
+    if (!utils.validateInputs(coreInputs, coreInputNames, true)) {
+        return { error: 'Enter Vin, Vout, Iout, L, Fsw and the duty limits to calculate.' };
+    }
+
+    if ([vin, vout, iout, inductance, fsw].some(v => v <= 0)) {
+        return { error: 'Vin, Vout, Iout, L and Fsw must be positive values.' };
+    }
+
+    if (d1Max <= 0 || d1Max > 100 || d2Min < 0 || d2Min >= 100) {
+        return { error: 'Max buck duty must be in (0, 100]% and min boost duty in [0, 100)%.' };
+    }
+
+    // 2. Perform calculations in order of dependency
+    const d1MaxFraction = d1Max / 100;
+    const d2MinFraction = d2Min / 100;
+    const { region, d1, d2 } = calculateFourSwitchDutyCycles(vin, vout, d1MaxFraction, d2MinFraction);
+
+    const ilpp = calculateFourSwitchRipple(vin, vout, d1, d2, inductance, fsw);
+    const ilavg = calculateFourSwitchILavg(iout, d2);
+    if (ilavg === null) {
+        return { error: 'Boost duty cycle reaches 100%; check Vin and Vout.' };
+    }
+
+    return {
+        region,
+        d1,
+        d2,
+        ilpp,
+        ilavg,
+        ilpk: ilpp !== null ? ilavg + ilpp / 2 : null,
+        buckLimit: vin * d1MaxFraction,
+        boostLimit: vin / (1 - d2MinFraction)
+    };
+}
+
+/**
+ * Maps one operating point to the values offered by the sweep plot and tolerance analysis
+ *
+ * @param {Object} inputs - Values as returned by readFourSwitchInputs()
+ * @returns {Object|null} - Plottable outputs, or null if the point is invalid
+ */
+function evaluateFourSwitchSweepPoint(inputs) {
+    const result = computeFourSwitchMetrics(inputs);
+    if (result.error) return null;
+    return {
+        d1: result.d1 * 100,
+        d2: result.d2 * 100,
+        ilpp: result.ilpp,
+        ilavg: result.ilavg,
+        ilpk: result.ilpk
+    };
+}
+
+function calculateAllFourSwitchMetrics() {
+    const errorEl = document.getElementById('fsbb-error');
+    const setError = (msg) => { if (errorEl) errorEl.textContent = msg || ''; };
+    const regionEl = document.getElementById('fsbb-region');
+    const setRegion = (text) => { if (regionEl) regionEl.value = text; };
+    const clearOutputs = () => {
+        setRegion('—');
+        utils.setValue('fsbb-d1', '', 2);
+        utils.setValue('fsbb-d2', '', 2);
+        utils.setValue('fsbb-ilpp', '', 3);
+        utils.setValue('fsbb-ilavg', '', 3);
+        utils.setValue('fsbb-ilpk', '', 3);
+        utils.setValue('fsbb-buck-limit', '', 2);
+        utils.setValue('fsbb-boost-limit', '', 2);
+    };
+
+    setError('');
+    if (sweep) sweep.refresh();
+    if (tolerance) tolerance.refresh();
+
+    const result = computeFourSwitchMetrics(readFourSwitchInputs());
+    if (result.error) {
+        clearOutputs();
+        setError(result.error);
+        return;
+    }
+
+    // Update the UI
+    setRegion(result.region);
+    utils.setValue('fsbb-d1', result.d1 * 100, 2);
+    utils.setValue('fsbb-d2', result.d2 * 100, 2);
+    utils.setValue('fsbb-ilpp', result.ilpp, 3);
+    utils.setValue('fsbb-ilavg', result.ilavg, 3);
+    utils.setValue('fsbb-ilpk', result.ilpk, 3);
+    utils.setValue('fsbb-buck-limit', result.buckLimit, 2);
+    utils.setValue('fsbb-boost-limit', result.boostLimit, 2);
+}
+
+
+// --- Event Listener Setup ---
+
+function setupEventListeners() {
+    const fsbbInputIds = [
+        'fsbb-vin', 'fsbb-vout', 'fsbb-iout',
+        'fsbb-inductance', 'fsbb-fsw', 'fsbb-d1max', 'fsbb-d2min'
+    ];
+
+    fsbbInputIds.forEach(id => {
+        const input = document.getElementById(id);
+        if (input) {
+            input.addEventListener('input', calculateAllFourSwitchMetrics);
+            // Add Enter key support
+            input.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') calculateAllFourSwitchMetrics();
+            });
+        }
+    });
+}
+
+// --- Initialization ---
+function init() {
+    setupEventListeners();
+
+    const outputs = [
+        { key: 'd1', label: 'Buck-Leg Duty (D1)', unit: '%' },
+        { key: 'd2', label: 'Boost-Leg Duty (D2)', unit: '%' },
+        { key: 'ilpp', label: 'ΔIL', unit: 'A' },
+        { key: 'ilavg', label: 'IL(avg)', unit: 'A' },
+        { key: 'ilpk', label: 'IL(peak)', unit: 'A' }
+    ];
+
+    if (window.plot) {
+        sweep = window.plot.createSweep({
+            id: 'fsbb',
+            containerId: 'fsbb-sweep',
+            variables: [
+                { key: 'vin', label: 'Input Voltage', unit: 'V' },
+                { key: 'iout', label: 'Output Current', unit: 'A' },
+                { key: 'fsw', label: 'Switching Freq', unit: 'MHz' },
+                { key: 'inductance', label: 'Inductance', unit: 'µH' }
+            ],
+            outputs,
+            readInputs: readFourSwitchInputs,
+            evaluate: evaluateFourSwitchSweepPoint
+        });
+    }
+
+    if (window.tolerance) {
+        tolerance = window.tolerance.createToleranceAnalysis({
+            id: 'fsbb',
+            containerId: 'fsbb-tolerance',
+            variables: [
+                { key: 'vin', label: 'Input Voltage', unit: 'V' },
+                { key: 'vout', label: 'Output Voltage', unit: 'V' },
+                { key: 'iout', label: 'Output Current', unit: 'A' },
+                { key: 'fsw', label: 'Switching Freq', unit: 'MHz' },
+                { key: 'inductance', label: 'Inductance', unit: 'µH' }
+            ],
+            outputs,
+            readInputs: readFourSwitchInputs,
+            evaluate: evaluateFourSwitchSweepPoint
+        });
+    }
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+} else {
+    init();
+}
+
+// Register with calculator registry
+if (window.calculatorRegistry) {
+    window.calculatorRegistry.register(
+        'four-switch-buck-boost',
+        '4-Switch Buck-Boost',
+        'Non-inverting four-switch buck-boost converter calculator',
+        { calculateAllFourSwitchMetrics }
+    );
+}
+
+})();
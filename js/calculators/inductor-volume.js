@@ -1,7 +1,7 @@
 'use strict';
 
 /**
- * Inductor Volume Estimator — Dual-Column Comparison
+ * Inductor Volume Estimator — Multi-Column Comparison
  *
  * Estimates inductor physical size for buck converters using empirical
  * energy-volume and DCR scaling laws derived from Coilcraft XGL families.
@@ -11,6 +11,30 @@
  *
  * Loss model uses canonical physics equations (per TI SLVA477 / Richtek AN005)
  * with FET parameters auto-estimated from the operating point (Vin, Iout).
+ * In override mode any of Rds(on), t_sw, Coss, Qg, dead time, body-diode Vf
+ * and R_PAR can be entered per column; blank fields keep the auto-estimate,
+ * which is shown as the field placeholder.
+ *
+ * Core loss (optional, per column) uses the iGSE from js/core-loss.js. The
+ * flux swing scales from the material's design peak flux at Isat,
+ * ΔB = Bpk × ΔiL / Ipk, and the whole estimated volume is treated as core.
+ *
+ * AC winding loss (optional, per column) uses Dowell's method on the ripple
+ * harmonics of the triangular inductor current:
+ *   Fr(Δ, m) = Δ × [ (sinh 2Δ + sin 2Δ)/(cosh 2Δ − cos 2Δ)
+ *                    + 2(m² − 1)/3 × (sinh Δ − sin Δ)/(cosh Δ + cos Δ) ]
+ *   Δ = h / δ,  δ = √(ρ / (π f μ₀)),  h = foil thickness or (√π / 2) × wire diameter
+ *   I_n = ΔiL × sin(nπD) / (n²π² D (1 − D))   (peak of harmonic n)
+ *   P_ripple = Σ ½ I_n² × DCR × Fr(Δ√n, m)
+ *
+ * Saturation check (optional, per column) against a part's L-vs-I curve pasted
+ * or imported as CSV (current A, inductance µH). The ripple keeps the column's
+ * volt-seconds, so it is solved iteratively with the curve's mean inductance
+ * over the swing: ΔiL = (L × ΔiL)design / mean L(Iload ± ΔiL/2). Isat defaults to
+ * the current where the curve has dropped 20% from its first point.
+ *
+ * Any number of design columns can be added, duplicated, renamed and removed;
+ * a summary table ranks them by efficiency, inductor volume and DCR.
  */
 
 (function() {
@@ -18,17 +42,54 @@
 const K2 = 100;  // DCR scaling constant (mΩ, µH, mm³)
 const DIM_RATIO_Y = 1.0;   // Y/X (square footprint)
 const DIM_RATIO_Z = 0.5;   // Z/X (half-height)
+const COPPER_RESISTIVITY = 1.68e-8;  // Ω·m at 20 °C
+const MU0 = 4e-7 * Math.PI;          // H/m
+const ROUND_WIRE_FACTOR = Math.sqrt(Math.PI) / 2;  // wire diameter → Dowell equivalent foil
+const SAT_DROP = 0.2;               // inductance drop that defines Isat from the curve
+const SAT_AVERAGE_STEPS = 50;       // samples for the mean inductance over the ripple swing
+
+// Per-column state, keyed by column prefix
+const solveForAxis = {};
+const columnResults = {};
+let columnCount = 0;  // columns created so far; never reused for new prefixes
+
+// Column inputs copied when a design is duplicated
+const COLUMN_INPUT_FIELDS = ['vin', 'vout', 'iload', 'fsw', 'ripple', 'levels', 'k1', 'sat-curve', 'sat-isat'];
+
+// Loss model parameters that can be overridden: [field, label, unit, step, decimals]
+const FET_PARAMS = [
+    ['rdson', 'Rds(on) (net):', 'mΩ', '0.01', 2],
+    ['tsw', 'Switching Time:', 'ns', '0.1', 2],
+    ['coss', 'Coss (per pair):', 'pF', '1', 0],
+    ['qg', 'Qg (per pair):', 'nC', '0.1', 1],
+    ['tdt', 'Dead Time:', 'ns', '0.1', 1],
+    ['vf', 'Body-Diode Vf:', 'V', '0.01', 2],
+    ['rpar', 'R_PAR:', 'mΩ', '0.01', 2]
+];
 
-const solveForAxis = { a: 'z', b: 'z' };
+// Core material parameters, filled from the selected preset: [field, label, unit, step, preset key]
+const CORE_PARAMS = [
+    ['core-k', 'Steinmetz k:', 'W/m³', '0.01', 'k'],
+    ['core-alpha', 'Steinmetz α:', '', '0.01', 'alpha'],
+    ['core-beta', 'Steinmetz β:', '', '0.01', 'beta'],
+    ['core-bpk', 'Peak Flux at Isat:', 'T', '0.01', 'bpk']
+];
+
+// Winding inputs for the AC resistance model
+const WINDING_FIELDS = ['winding-thickness', 'winding-layers', 'winding-harmonics'];
 
 // --- Column HTML template ---
 
-function createColumnHTML(prefix, label) {
+function createColumnHTML(prefix) {
     const id = (field) => `indvol-${prefix}-${field}`;
     return `
-    <div class="indvol-column">
+    <div class="indvol-column" id="${id('column')}" data-prefix="${prefix}">
         <div class="calculator-section">
-            <h3>${label}</h3>
+            <div class="indvol-column-header">
+                <input type="text" class="indvol-name" id="${id('name')}" aria-label="Design name">
+                <button class="calc-button" id="${id('duplicate')}" title="Duplicate this design">Duplicate</button>
+                <button class="calc-button" id="${id('remove')}" title="Remove this design">Remove</button>
+            </div>
             <div class="input-group">
                 <label for="${id('vin')}">Input Voltage:</label>
                 <input type="number" id="${id('vin')}" step="0.1">
@@ -66,6 +127,121 @@ function createColumnHTML(prefix, label) {
             </div>
         </div>
 
+        <div class="calculator-section">
+            <h3>FET & Loss Model</h3>
+            <div class="input-group">
+                <label for="${id('fet-mode')}">Parameters:</label>
+                <select id="${id('fet-mode')}" class="wafer-size-select">
+                    <option value="auto" selected>Auto-estimate</option>
+                    <option value="override">Override</option>
+                </select>
+                <span class="unit"></span>
+            </div>
+            ${FET_PARAMS.map(([field, label, unit, step]) => `
+            <div class="input-group">
+                <label for="${id(field)}">${label}</label>
+                <input type="number" id="${id(field)}" step="${step}" disabled>
+                <span class="unit">${unit}</span>
+            </div>`).join('')}
+        </div>
+
+        <div class="calculator-section">
+            <h3>Core Loss</h3>
+            <div class="input-group">
+                <label for="${id('core-material')}">Core Material:</label>
+                <select id="${id('core-material')}" class="wafer-size-select">
+                    ${window.coreLoss ? window.coreLoss.materialOptionsHTML('Not modelled') : '<option value="none">Not modelled</option>'}
+                </select>
+                <span class="unit"></span>
+            </div>
+            ${CORE_PARAMS.map(([field, label, unit, step]) => `
+            <div class="input-group">
+                <label for="${id(field)}">${label}</label>
+                <input type="number" id="${id(field)}" step="${step}" disabled>
+                <span class="unit">${unit}</span>
+            </div>`).join('')}
+        </div>
+
+        <div class="calculator-section">
+            <h3>Winding AC Loss</h3>
+            <div class="input-group">
+                <label for="${id('winding-type')}">Conductor:</label>
+                <select id="${id('winding-type')}" class="wafer-size-select">
+                    <option value="none" selected>DC only (DCR)</option>
+                    <option value="foil">Foil / flat wire</option>
+                    <option value="round">Round wire</option>
+                </select>
+                <span class="unit"></span>
+            </div>
+            <div class="input-group">
+                <label for="${id('winding-thickness')}">Thickness / Diameter:</label>
+                <input type="number" id="${id('winding-thickness')}" step="1" value="100" disabled>
+                <span class="unit">µm</span>
+            </div>
+            <div class="input-group">
+                <label for="${id('winding-layers')}">Layers (m):</label>
+                <input type="number" id="${id('winding-layers')}" step="1" min="1" value="2" disabled>
+                <span class="unit"></span>
+            </div>
+            <div class="input-group">
+                <label for="${id('winding-harmonics')}">Ripple Harmonics:</label>
+                <input type="number" id="${id('winding-harmonics')}" step="1" min="1" value="9" disabled>
+                <span class="unit"></span>
+            </div>
+            <div class="input-group">
+                <label for="${id('rac-ratio')}">Rac/Rdc at Fsw:</label>
+                <input type="number" id="${id('rac-ratio')}" readonly>
+                <span class="unit"></span>
+            </div>
+            <div class="input-group">
+                <label for="${id('ac-loss')}">Ripple Winding Loss:</label>
+                <input type="number" id="${id('ac-loss')}" readonly>
+                <span class="unit">mW</span>
+            </div>
+        </div>
+
+        <div class="calculator-section">
+            <h3>Saturation Check</h3>
+            <textarea class="indvol-sat-curve" id="${id('sat-curve')}" spellcheck="false"
+                aria-label="Saturation curve CSV" placeholder="Current (A), Inductance (µH)&#10;0, 0.47&#10;10, 0.44&#10;20, 0.38"></textarea>
+            <input type="file" class="indvol-sat-file" id="${id('sat-file')}" accept=".csv,.txt,text/csv" aria-label="Import saturation curve CSV">
+            <div class="input-group">
+                <label for="${id('sat-isat')}">Isat (blank = 20% drop):</label>
+                <input type="number" id="${id('sat-isat')}" step="0.1">
+                <span class="unit">A</span>
+            </div>
+            <div class="input-group">
+                <label for="${id('sat-l-dc')}">L at DC Bias:</label>
+                <input type="number" id="${id('sat-l-dc')}" readonly>
+                <span class="unit">µH</span>
+            </div>
+            <div class="input-group">
+                <label for="${id('sat-dil')}">Derated Ripple:</label>
+                <input type="number" id="${id('sat-dil')}" readonly>
+                <span class="unit">A</span>
+            </div>
+            <div class="input-group">
+                <label for="${id('sat-ipk')}">Derated Peak:</label>
+                <input type="number" id="${id('sat-ipk')}" readonly>
+                <span class="unit">A</span>
+            </div>
+            <div class="input-group">
+                <label for="${id('sat-l-pk')}">L at Peak:</label>
+                <input type="number" id="${id('sat-l-pk')}" readonly>
+                <span class="unit">µH</span>
+            </div>
+            <div class="input-group">
+                <label for="${id('sat-isat-used')}">Isat Used:</label>
+                <input type="number" id="${id('sat-isat-used')}" readonly>
+                <span class="unit">A</span>
+            </div>
+            <div class="input-group">
+                <label for="${id('sat-status')}">Status:</label>
+                <input type="text" id="${id('sat-status')}" readonly value="—">
+                <span class="unit"></span>
+            </div>
+        </div>
+
         <div class="calculator-section">
             <h3>Results</h3>
             <div class="input-group">
@@ -113,6 +289,16 @@ function createColumnHTML(prefix, label) {
                 <input type="number" id="${id('dcr-pct')}" readonly>
                 <span class="unit">%</span>
             </div>
+            <div class="input-group">
+                <label for="${id('core-pct')}">Core Loss:</label>
+                <input type="number" id="${id('core-pct')}" readonly>
+                <span class="unit">%</span>
+            </div>
+            <div class="input-group">
+                <label for="${id('ac-pct')}">Winding AC Loss:</label>
+                <input type="number" id="${id('ac-pct')}" readonly>
+                <span class="unit">%</span>
+            </div>
             <div class="input-group">
                 <label for="${id('fet-pct')}">FET Cond. Loss:</label>
                 <input type="number" id="${id('fet-pct')}" readonly>
@@ -189,23 +375,200 @@ function calculateDCR(L_uH, Vol_mm3) {
     return K2 * Math.pow(L_uH, 0.8) / Math.pow(Vol_mm3, 2 / 3);
 }
 
+function calculateSkinDepth(freqHz) {
+    return Math.sqrt(COPPER_RESISTIVITY / (Math.PI * freqHz * MU0));
+}
+
+// Dowell's Rac/Rdc for a winding of m layers, each h/δ = delta thick
+function calculateDowellFactor(delta, layers) {
+    const skin = (Math.sinh(2 * delta) + Math.sin(2 * delta)) / (Math.cosh(2 * delta) - Math.cos(2 * delta));
+    const proximity = (Math.sinh(delta) - Math.sin(delta)) / (Math.cosh(delta) + Math.cos(delta));
+    return delta * (skin + 2 * (layers * layers - 1) / 3 * proximity);
+}
+
+// Ripple-current winding loss from the first `harmonics` Fourier terms of the
+// triangular inductor current (rising for D, falling for 1 − D)
+// Returns { racRatio (Rac/Rdc at the fundamental), loss (mW) }
+function calculateAcWindingLoss(dIL, D, fswEffHz, dcr_mOhm, thicknessUm, layers, harmonics) {
+    const delta1 = thicknessUm * 1e-6 / calculateSkinDepth(fswEffHz);
+    let loss = 0;
+    for (let n = 1; n <= harmonics; n++) {
+        const In = dIL * Math.sin(n * Math.PI * D) / (n * n * Math.PI * Math.PI * D * (1 - D));
+        loss += 0.5 * In * In * dcr_mOhm * calculateDowellFactor(delta1 * Math.sqrt(n), layers);
+    }
+    return { racRatio: calculateDowellFactor(delta1, layers), loss };
+}
+
+// Empirical FET parameters from V_sw (per switch pair)
+function estimateFetParameters(vin, iload, Nm1, V_sw) {
+    return {
+        rdson: 20 * Math.sqrt(vin) / (Math.pow(iload, 1.2) * Nm1),  // mΩ — net 1/(N-1)
+        tsw: 0.2 + V_sw / 3.5,                                      // ns
+        coss: 200 * Math.sqrt(iload * V_sw / 12),                   // pF (per switch pair)
+        qg: 10 * Math.sqrt(iload * V_sw / 12),                      // nC (per switch pair)
+        tdt: Math.min(20, Math.max(0.2, V_sw * 0.4)),               // ns (dead time)
+        vf: Math.min(0.7, 0.2 + V_sw * 0.035),                      // V (body diode)
+        rpar: 0.3                                                   // mΩ — PCB, package, via parasitics
+    };
+}
+
+// Shows the auto-estimates as placeholders and applies any overrides
+function resolveFetParameters(prefix, estimates) {
+    const modeEl = document.getElementById(`indvol-${prefix}-fet-mode`);
+    const override = modeEl && modeEl.value === 'override';
+    const params = {};
+
+    FET_PARAMS.forEach(([field, , , , decimals]) => {
+        const el = document.getElementById(`indvol-${prefix}-${field}`);
+        if (el) el.placeholder = estimates[field].toFixed(decimals);
+        const value = override ? utils.getValue(`indvol-${prefix}-${field}`) : null;
+        params[field] = value !== null && value >= 0 ? value : estimates[field];
+    });
+    return params;
+}
+
+// Core loss (mW) of the ripple flux swing, or 0 when no material is selected
+function calculateCoreLoss(prefix, dIL, Ipk, D_local, fswEffHz, vol) {
+    const materialEl = document.getElementById(`indvol-${prefix}-core-material`);
+    if (!materialEl || materialEl.value === 'none' || !window.coreLoss) return 0;
+
+    const [k, alpha, beta, bpk] = CORE_PARAMS.map(([field]) => utils.getValue(`indvol-${prefix}-${field}`));
+    if ([k, alpha, beta, bpk].some(v => v === null || !(v > 0))) return 0;
+
+    const loss = window.coreLoss.calculateTriangularCoreLoss({
+        k, alpha, beta,
+        deltaB: bpk * dIL / Ipk,
+        frequency: fswEffHz,
+        riseFraction: D_local,
+        fallFraction: 1 - D_local,
+        volume: vol * 1e-9                                             // mm³ → m³
+    });
+    return loss ? loss.power * utils.constants.MILLI : 0;
+}
+
+// Parses "current, inductance" rows (A, µH); comma, semicolon, tab or space
+// separated. Non-numeric rows such as a header are skipped.
+// Returns { points: [{ current, inductance }] sorted by current } or { error }
+function parseSaturationCurve(text) {
+    const points = [];
+    text.split(/\r?\n/).forEach(line => {
+        const fields = line.trim().split(/[\s,;]+/);
+        if (fields.length < 2) return;
+        const current = parseFloat(fields[0]);
+        const inductance = parseFloat(fields[1]);
+        if (isFinite(current) && isFinite(inductance)) points.push({ current, inductance });
+    });
+
+    if (points.length < 2) return { error: 'Saturation curve needs at least two "current, inductance" rows.' };
+    if (points.some(p => p.current < 0 || p.inductance <= 0)) {
+        return { error: 'Saturation curve currents must be ≥ 0 and inductances positive.' };
+    }
+    points.sort((a, b) => a.current - b.current);
+    return { points };
+}
+
+// Linear interpolation; held flat beyond the first and last points
+function interpolateInductance(points, current) {
+    if (current <= points[0].current) return points[0].inductance;
+    const last = points[points.length - 1];
+    if (current >= last.current) return last.inductance;
+    const i = points.findIndex(p => p.current >= current);
+    const a = points[i - 1];
+    const b = points[i];
+    if (b.current === a.current) return b.inductance;
+    return a.inductance + (b.inductance - a.inductance) * (current - a.current) / (b.current - a.current);
+}
+
+function averageInductance(points, low, high) {
+    if (high <= low) return interpolateInductance(points, low);
+    const step = (high - low) / SAT_AVERAGE_STEPS;
+    let sum = 0;
+    for (let i = 0; i < SAT_AVERAGE_STEPS; i++) {
+        sum += interpolateInductance(points, low + (i + 0.5) * step);
+    }
+    return sum / SAT_AVERAGE_STEPS;
+}
+
+// Current where the curve first falls SAT_DROP below its first point, or null
+function findSaturationCurrent(points) {
+    const threshold = points[0].inductance * (1 - SAT_DROP);
+    for (let i = 1; i < points.length; i++) {
+        const a = points[i - 1];
+        const b = points[i];
+        if (b.inductance <= threshold) {
+            if (a.inductance === b.inductance) return b.current;
+            return a.current + (b.current - a.current) * (a.inductance - threshold) / (a.inductance - b.inductance);
+        }
+    }
+    return null;
+}
+
+// Solves the ripple with the curve's inductance at the operating point
+// Returns { lDc, dIL, ipk, lPk, isat, converged } or { error }
+function checkSaturation(points, iload, voltSeconds, isatInput) {
+    const solution = utils.solveFixedPoint(
+        (dIL) => voltSeconds / averageInductance(points, Math.max(0, iload - dIL / 2), iload + dIL / 2),
+        voltSeconds / interpolateInductance(points, iload)
+    );
+    if (solution.value === null) return { error: 'Saturation ripple could not be solved.' };
+
+    const dIL = solution.value;
+    const ipk = iload + dIL / 2;
+    return {
+        lDc: interpolateInductance(points, iload),
+        dIL,
+        ipk,
+        lPk: interpolateInductance(points, ipk),
+        isat: isatInput !== null ? isatInput : findSaturationCurrent(points),
+        beyondCurve: ipk > points[points.length - 1].current,
+        converged: solution.converged
+    };
+}
+
+// Reads the winding inputs; null when the AC model is off or incomplete
+function readWindingInputs(prefix) {
+    const typeEl = document.getElementById(`indvol-${prefix}-winding-type`);
+    if (!typeEl || typeEl.value === 'none') return null;
+
+    const [thickness, layers, harmonics] = WINDING_FIELDS.map(field => utils.getValue(`indvol-${prefix}-${field}`));
+    if ([thickness, layers, harmonics].some(v => v === null || !(v > 0))) return null;
+    return {
+        thickness: typeEl.value === 'round' ? thickness * ROUND_WIRE_FACTOR : thickness,
+        layers: Math.max(1, Math.round(layers)),
+        harmonics: Math.max(1, Math.round(harmonics))
+    };
+}
+
+function clearFetPlaceholders(prefix) {
+    FET_PARAMS.forEach(([field]) => {
+        const el = document.getElementById(`indvol-${prefix}-${field}`);
+        if (el) el.placeholder = '';
+    });
+}
+
 // --- Main calculation (scoped to one column) ---
 
-function calculateAll(prefix) {
+// Returns { efficiency, vol, dcr } for the summary table, or null on invalid inputs
+function calculateColumn(prefix) {
     const get = (field) => utils.getValue(`indvol-${prefix}-${field}`);
     const set = (field, val, dec) => utils.setValue(`indvol-${prefix}-${field}`, val, dec);
     const errorEl = document.getElementById(`indvol-${prefix}-error`);
     const setError = (msg) => { if (errorEl) errorEl.textContent = msg || ''; };
+    const satStatusEl = document.getElementById(`indvol-${prefix}-sat-status`);
+    const setSatStatus = (text) => { if (satStatusEl) satStatusEl.value = text; };
 
     const outputFields = [
         'duty', 'l', 'dil', 'ipk', 'vol', 'dcr', 'cout', 'cin', 'fcap',
-        'dcr-pct', 'fet-pct', 'sw-pct', 'cap-pct', 'eff',
+        'dcr-pct', 'core-pct', 'ac-pct', 'fet-pct', 'sw-pct', 'cap-pct', 'eff', 'rac-ratio', 'ac-loss',
+        'sat-l-dc', 'sat-dil', 'sat-ipk', 'sat-l-pk', 'sat-isat-used',
         'dim-x', 'dim-y', 'dim-z'
     ];
     const clearOutputs = () => {
         outputFields.forEach(f => set(f, '', 2));
         const fcapEl = document.getElementById(`indvol-${prefix}-fcap`);
         if (fcapEl) fcapEl.value = '—';
+        setSatStatus('—');
+        clearFetPlaceholders(prefix);
     };
 
     const vin = get('vin');
@@ -224,31 +587,38 @@ function calculateAll(prefix) {
     if (!utils.validateInputs(coreInputs, coreNames, true)) {
         clearOutputs();
         setError('Enter all input values to calculate.');
-        return;
+        return null;
     }
 
     if (vin <= 0 || vout <= 0 || iload <= 0 || fsw <= 0) {
         clearOutputs();
         setError('Vin, Vout, Iload, and Fsw must be positive.');
-        return;
+        return null;
     }
 
     if (vin <= vout) {
         clearOutputs();
         setError('Vin must be greater than Vout for buck topology.');
-        return;
+        return null;
     }
 
     if (ripplePct <= 0) {
         clearOutputs();
         setError('Ripple ratio must be > 0.');
-        return;
+        return null;
     }
 
     if (k1 <= 0) {
         clearOutputs();
         setError('Energy constant k₁ must be positive.');
-        return;
+        return null;
+    }
+
+    const isatInput = get('sat-isat');
+    if (isatInput !== null && isatInput <= 0) {
+        clearOutputs();
+        setError('Isat must be positive; leave it blank to use the 20% inductance drop.');
+        return null;
     }
 
     const Nm1 = N - 1;  // (N-1) used throughout
@@ -272,17 +642,18 @@ function calculateAll(prefix) {
     const vol = calculateVolume(L, Ipk, k1);
     const dcr = calculateDCR(L, vol);
 
-    // Auto-estimate FET parameters from V_sw (per switch pair)
-    const rdson = 20 * Math.sqrt(vin) / (Math.pow(iload, 1.2) * Nm1);  // mΩ — net 1/(N-1)
-    const t_sw = 0.2 + V_sw / 3.5;                                      // ns
-    const coss = 200 * Math.sqrt(iload * V_sw / 12);                    // pF (per switch pair)
-    const qg = 10 * Math.sqrt(iload * V_sw / 12);                       // nC (per switch pair)
+    // FET parameters: auto-estimated from V_sw unless overridden
+    const fet = resolveFetParameters(prefix, estimateFetParameters(vin, iload, Nm1, V_sw));
+    const rdson = fet.rdson;
+    const t_sw = fet.tsw;
+    const coss = fet.coss;
+    const qg = fet.qg;
     const VDR = Math.min(5, Math.max(1, V_sw * 0.5));                   // V (gate drive)
-    const TDT = Math.min(20, Math.max(0.2, V_sw * 0.4));                // ns (dead time)
-    const VF = Math.min(0.7, 0.2 + V_sw * 0.035);                      // V (body diode)
+    const TDT = fet.tdt;
+    const VF = fet.vf;
 
     // Loss calculations (all mW); fswPS = per-switch, fswEff = aggregate
-    const R_PAR = 0.3;                                                  // mΩ — PCB, package, via parasitics
+    const R_PAR = fet.rpar;
     const dcrLoss = iload * iload * dcr;
     const fetLoss = iload * iload * rdson;
     const parasiticLoss = iload * iload * R_PAR;                       // fixed path resistance
@@ -292,12 +663,20 @@ function calculateAll(prefix) {
     const deadtimeLoss = 2 * iload * VF * TDT * fswEff;                // all dead-time events
     const switchingLoss = overlapLoss + cossLoss + gateLoss + deadtimeLoss;
     const capLoss = (N - 2) * 3 * Math.pow(iload, 1.4);               // flying cap ESR loss (mW)
-    const totalLoss = dcrLoss + fetLoss + parasiticLoss + switchingLoss + capLoss;
+    const coreLoss = calculateCoreLoss(prefix, dIL, Ipk, D_local, fswEffHz, vol);
+    const winding = readWindingInputs(prefix);
+    const ac = winding
+        ? calculateAcWindingLoss(dIL, D_local, fswEffHz, dcr, winding.thickness, winding.layers, winding.harmonics)
+        : null;
+    const acLoss = ac ? ac.loss : 0;
+    const totalLoss = dcrLoss + coreLoss + acLoss + fetLoss + parasiticLoss + switchingLoss + capLoss;
 
     // Percentages (of Pin)
     const pout_mW = vout * iload * 1000;
     const pin_mW = pout_mW + totalLoss;
     const dcrPct = dcrLoss / pin_mW * 100;
+    const corePct = coreLoss / pin_mW * 100;
+    const acPct = acLoss / pin_mW * 100;
     const fetPct = fetLoss / pin_mW * 100;
     const swPct = switchingLoss / pin_mW * 100;
     const capPct = capLoss / pin_mW * 100;
@@ -324,6 +703,10 @@ function calculateAll(prefix) {
     set('cout', cout, 1);
     set('cin', cin, 1);
     set('dcr-pct', dcrPct, 1);
+    set('core-pct', corePct, 1);
+    set('ac-pct', acPct, 1);
+    set('rac-ratio', ac ? ac.racRatio : null, 2);
+    set('ac-loss', ac ? ac.loss : null, 1);
     set('fet-pct', fetPct, 1);
     set('sw-pct', swPct, 1);
     set('cap-pct', capPct, 1);
@@ -333,7 +716,105 @@ function calculateAll(prefix) {
     const fcapEl = document.getElementById(`indvol-${prefix}-fcap`);
     if (fcapEl) fcapEl.value = fcap !== null ? fcap.toFixed(1) : '—';
 
+    // Saturation check against the pasted curve (keeps the design volt-seconds)
+    ['sat-l-dc', 'sat-dil', 'sat-ipk', 'sat-l-pk', 'sat-isat-used'].forEach(f => set(f, '', 2));
+    setSatStatus('—');
+    const curveEl = document.getElementById(`indvol-${prefix}-sat-curve`);
+    const curveText = curveEl ? curveEl.value.trim() : '';
+    if (curveText) {
+        const curve = parseSaturationCurve(curveText);
+        const sat = curve.error ? curve : checkSaturation(curve.points, iload, L * dIL, isatInput);
+        if (sat.error) {
+            setSatStatus('Invalid curve');
+            setError(sat.error);
+        } else {
+            set('sat-l-dc', sat.lDc, 3);
+            set('sat-dil', sat.dIL, 2);
+            set('sat-ipk', sat.ipk, 2);
+            set('sat-l-pk', sat.lPk, 3);
+            set('sat-isat-used', sat.isat, 2);
+            const note = sat.beyondCurve ? ' (beyond curve data)' : '';
+            if (sat.isat === null) {
+                setSatStatus(`Isat not reached in curve${note}`);
+            } else if (sat.ipk > sat.isat) {
+                setSatStatus(`SATURATED: Ipk ${(sat.ipk / sat.isat * 100).toFixed(0)}% of Isat${note}`);
+                setError('Derated peak current exceeds the part\'s Isat; choose a larger part or more ripple margin.');
+            } else {
+                setSatStatus(`OK: Ipk ${(sat.ipk / sat.isat * 100).toFixed(0)}% of Isat${note}`);
+            }
+            if (!sat.converged) setError('Saturation ripple did not converge; results are approximate.');
+        }
+    }
+
     setDimensionsFromVolume(prefix, vol);
+    return { efficiency, vol, dcr };
+}
+
+function calculateAll(prefix) {
+    columnResults[prefix] = calculateColumn(prefix);
+    updateSummary();
+}
+
+// --- Design ranking ---
+
+function getColumnPrefixes() {
+    return Array.from(document.querySelectorAll('#indvol-columns .indvol-column'))
+        .map(el => el.dataset.prefix);
+}
+
+function getColumnName(prefix) {
+    const el = document.getElementById(`indvol-${prefix}-name`);
+    return el && el.value.trim() ? el.value.trim() : prefix.toUpperCase();
+}
+
+// Rank (1 = best) of each row for one metric
+function rankBy(rows, key, higherIsBetter) {
+    const sorted = [...rows].sort((a, b) => higherIsBetter
+        ? b.result[key] - a.result[key]
+        : a.result[key] - b.result[key]);
+    const ranks = {};
+    sorted.forEach((row, i) => { ranks[row.prefix] = i + 1; });
+    return ranks;
+}
+
+function updateSummary() {
+    const tbody = document.getElementById('indvol-summary-body');
+    if (!tbody) return;
+
+    const rows = getColumnPrefixes()
+        .filter(prefix => columnResults[prefix])
+        .map(prefix => ({ prefix, name: getColumnName(prefix), result: columnResults[prefix] }));
+
+    if (rows.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="7">Enter a design to see the ranking</td></tr>';
+        return;
+    }
+
+    const ranks = {
+        efficiency: rankBy(rows, 'efficiency', true),
+        vol: rankBy(rows, 'vol', false),
+        dcr: rankBy(rows, 'dcr', false)
+    };
+    const sortEl = document.getElementById('indvol-rank-by');
+    const sortKey = sortEl && ranks[sortEl.value] ? sortEl.value : 'efficiency';
+    rows.sort((a, b) => ranks[sortKey][a.prefix] - ranks[sortKey][b.prefix]);
+
+    tbody.innerHTML = '';
+    rows.forEach((row, i) => {
+        const tr = document.createElement('tr');
+        const cellClass = i === 0 ? 'class="highlight-closest"' : '';
+        tr.innerHTML = `
+            <td ${cellClass}></td>
+            <td>${row.result.efficiency.toFixed(1)}</td>
+            <td>${row.result.vol.toFixed(1)}</td>
+            <td>${row.result.dcr.toFixed(1)}</td>
+            <td>${ranks.efficiency[row.prefix]}</td>
+            <td>${ranks.vol[row.prefix]}</td>
+            <td>${ranks.dcr[row.prefix]}</td>
+        `;
+        tr.firstElementChild.textContent = row.name;  // user text, never parsed as HTML
+        tbody.appendChild(tr);
+    });
 }
 
 // --- Package dimension solver ---
@@ -379,39 +860,214 @@ function recalcSolvedDim(prefix) {
 
 // --- Event listeners ---
 
-function setupEventListeners() {
-    const inputFields = ['vin', 'vout', 'iload', 'fsw', 'ripple', 'levels', 'k1'];
-
-    ['a', 'b'].forEach(prefix => {
-        inputFields.forEach(field => {
-            const el = document.getElementById(`indvol-${prefix}-${field}`);
-            if (el) {
-                el.addEventListener('input', () => calculateAll(prefix));
-                el.addEventListener('keypress', (e) => {
-                    if (e.key === 'Enter') calculateAll(prefix);
-                });
-            }
+function updateFetFields(prefix) {
+    const modeEl = document.getElementById(`indvol-${prefix}-fet-mode`);
+    const override = modeEl && modeEl.value === 'override';
+    FET_PARAMS.forEach(([field]) => {
+        const el = document.getElementById(`indvol-${prefix}-${field}`);
+        if (el) el.disabled = !override;
+    });
+}
+
+// Presets fill in their coefficients; only 'custom' takes typed values
+function updateCoreFields(prefix) {
+    const materialEl = document.getElementById(`indvol-${prefix}-core-material`);
+    const material = materialEl ? materialEl.value : 'none';
+    const preset = window.coreLoss ? window.coreLoss.findMaterial(material) : null;
+    CORE_PARAMS.forEach(([field, , , , key]) => {
+        const el = document.getElementById(`indvol-${prefix}-${field}`);
+        if (!el) return;
+        if (preset) el.value = preset[key];
+        el.disabled = material !== 'custom';
+    });
+}
+
+function updateWindingFields(prefix) {
+    const typeEl = document.getElementById(`indvol-${prefix}-winding-type`);
+    const enabled = typeEl && typeEl.value !== 'none';
+    WINDING_FIELDS.forEach(field => {
+        const el = document.getElementById(`indvol-${prefix}-${field}`);
+        if (el) el.disabled = !enabled;
+    });
+}
+
+function setupColumnListeners(prefix) {
+    const inputFields = [
+        ...COLUMN_INPUT_FIELDS,
+        ...FET_PARAMS.map(([field]) => field),
+        ...CORE_PARAMS.map(([field]) => field),
+        ...WINDING_FIELDS
+    ];
+
+    const modeEl = document.getElementById(`indvol-${prefix}-fet-mode`);
+    if (modeEl) {
+        modeEl.addEventListener('change', () => {
+            updateFetFields(prefix);
+            calculateAll(prefix);
         });
+    }
+    updateFetFields(prefix);
 
-        ['dim-x', 'dim-y', 'dim-z'].forEach(field => {
-            const el = document.getElementById(`indvol-${prefix}-${field}`);
-            if (el) el.addEventListener('input', () => recalcSolvedDim(prefix));
+    const materialEl = document.getElementById(`indvol-${prefix}-core-material`);
+    if (materialEl) {
+        materialEl.addEventListener('change', () => {
+            updateCoreFields(prefix);
+            calculateAll(prefix);
         });
+    }
+    updateCoreFields(prefix);
 
-        ['x', 'y', 'z'].forEach(axis => {
-            const btn = document.getElementById(`indvol-${prefix}-solve-${axis}`);
-            if (btn) btn.addEventListener('click', () => setSolveFor(prefix, axis));
+    const windingEl = document.getElementById(`indvol-${prefix}-winding-type`);
+    if (windingEl) {
+        windingEl.addEventListener('change', () => {
+            updateWindingFields(prefix);
+            calculateAll(prefix);
         });
+    }
+    updateWindingFields(prefix);
+
+    inputFields.forEach(field => {
+        const el = document.getElementById(`indvol-${prefix}-${field}`);
+        if (el) {
+            el.addEventListener('input', () => calculateAll(prefix));
+            el.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') calculateAll(prefix);
+            });
+        }
+    });
+
+    ['dim-x', 'dim-y', 'dim-z'].forEach(field => {
+        const el = document.getElementById(`indvol-${prefix}-${field}`);
+        if (el) el.addEventListener('input', () => recalcSolvedDim(prefix));
+    });
+
+    ['x', 'y', 'z'].forEach(axis => {
+        const btn = document.getElementById(`indvol-${prefix}-solve-${axis}`);
+        if (btn) btn.addEventListener('click', () => setSolveFor(prefix, axis));
     });
+
+    // Imported CSV replaces the pasted curve
+    const fileEl = document.getElementById(`indvol-${prefix}-sat-file`);
+    if (fileEl) {
+        fileEl.addEventListener('change', () => {
+            const file = fileEl.files && fileEl.files[0];
+            if (!file) return;
+            const reader = new FileReader();
+            reader.onload = () => {
+                const curveEl = document.getElementById(`indvol-${prefix}-sat-curve`);
+                if (curveEl) curveEl.value = reader.result;
+                calculateAll(prefix);
+            };
+            reader.readAsText(file);
+        });
+    }
+
+    const nameEl = document.getElementById(`indvol-${prefix}-name`);
+    if (nameEl) nameEl.addEventListener('input', updateSummary);
+
+    const duplicateBtn = document.getElementById(`indvol-${prefix}-duplicate`);
+    if (duplicateBtn) duplicateBtn.addEventListener('click', () => duplicateColumn(prefix));
+
+    const removeBtn = document.getElementById(`indvol-${prefix}-remove`);
+    if (removeBtn) removeBtn.addEventListener('click', () => removeColumn(prefix));
 }
 
-// --- Init ---
+function setupEventListeners() {
+    const addBtn = document.getElementById('indvol-add');
+    if (addBtn) addBtn.addEventListener('click', () => addColumn());
 
-function init() {
+    const sortEl = document.getElementById('indvol-rank-by');
+    if (sortEl) sortEl.addEventListener('change', updateSummary);
+}
+
+// --- Column management ---
+
+// 0 → 'a', 25 → 'z', 26 → 'aa', ...
+function columnPrefix(index) {
+    let prefix = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        prefix = String.fromCharCode(97 + (n - 1) % 26) + prefix;
+    }
+    return prefix;
+}
+
+function updateRemoveButtons() {
+    const prefixes = getColumnPrefixes();
+    prefixes.forEach(prefix => {
+        const btn = document.getElementById(`indvol-${prefix}-remove`);
+        if (btn) btn.disabled = prefixes.length <= 1;
+    });
+}
+
+/**
+ * Adds a design column.
+ *
+ * @param {string} [label] - Design name (defaults to "Design <prefix>")
+ * @param {string} [afterPrefix] - Insert after this column instead of at the end
+ * @returns {string|null} - Prefix of the new column
+ */
+function addColumn(label, afterPrefix) {
     const container = document.getElementById('indvol-columns');
-    if (container) {
-        container.innerHTML = createColumnHTML('a', 'Design A') + createColumnHTML('b', 'Design B');
+    if (!container) return null;
+
+    const prefix = columnPrefix(columnCount++);
+    solveForAxis[prefix] = 'z';
+
+    const template = document.createElement('div');
+    template.innerHTML = createColumnHTML(prefix);
+    const column = template.firstElementChild;
+    const after = afterPrefix ? document.getElementById(`indvol-${afterPrefix}-column`) : null;
+    if (after) {
+        after.after(column);
+    } else {
+        container.appendChild(column);
     }
+
+    const nameEl = document.getElementById(`indvol-${prefix}-name`);
+    if (nameEl) nameEl.value = label || `Design ${prefix.toUpperCase()}`;
+
+    setupColumnListeners(prefix);
+    updateRemoveButtons();
+    return prefix;
+}
+
+function duplicateColumn(source) {
+    const prefix = addColumn(`${getColumnName(source)} (copy)`, source);
+    if (!prefix) return;
+
+    const copy = (field) => {
+        const from = document.getElementById(`indvol-${source}-${field}`);
+        const to = document.getElementById(`indvol-${prefix}-${field}`);
+        if (from && to) to.value = from.value;
+    };
+    [
+        ...COLUMN_INPUT_FIELDS,
+        'fet-mode', ...FET_PARAMS.map(([field]) => field),
+        'core-material', ...CORE_PARAMS.map(([field]) => field),
+        'winding-type', ...WINDING_FIELDS
+    ].forEach(copy);
+
+    updateFetFields(prefix);
+    updateCoreFields(prefix);
+    updateWindingFields(prefix);
+    calculateAll(prefix);
+}
+
+function removeColumn(prefix) {
+    if (getColumnPrefixes().length <= 1) return;
+    const column = document.getElementById(`indvol-${prefix}-column`);
+    if (column) column.remove();
+    delete solveForAxis[prefix];
+    delete columnResults[prefix];
+    updateRemoveButtons();
+    updateSummary();
+}
+
+// --- Init ---
+
+function init() {
+    addColumn();
+    addColumn();
     setupEventListeners();
 }
 
@@ -426,7 +1082,7 @@ if (window.calculatorRegistry) {
         'inductor-volume',
         'Inductor Volume',
         'Inductor volume estimator for buck converters',
-        { calculateAll: () => { calculateAll('a'); calculateAll('b'); } }
+        { calculateAll: () => getColumnPrefixes().forEach(calculateAll) }
     );
 }
 
@@ -0,0 +1,364 @@
+'use strict';
+
+/**
+ * Multiphase Buck Converter Calculator (v1.1.0)
+ *
+ * Designs an N-phase interleaved synchronous buck from the total load current
+ * and per-phase power stage parameters, and compares phase counts.
+ *
+ * Calculated Outputs:
+ * - Duty cycle, per-phase current, per-phase ripple and peak current
+ * - Output ripple current after interleaving and the cancellation ratio ΔIout / ΔIL
+ * - Input capacitor RMS current and its reduction versus a single phase
+ * - Loss estimate and efficiency for every phase count from 1 to N(max)
+ * - Recommended phase count (highest efficiency)
+ * - Sweep plot of any output against Iout, Vin, Fsw or L (via js/plot.js)
+ * - Worst-case corners and Monte Carlo spread over toleranced inputs (via js/tolerance.js)
+ *
+ * Key Equations (phases interleaved by 360°/N, m = floor(N · D), x = N · D - m):
+ * - Duty Cycle: D = Vout / Vin
+ * - Per-Phase Ripple: ΔIL = (Vin - Vout) · D / (L · fsw)
+ * - Output Ripple: ΔIout = Vin · x · (1 - x) / (N · L · fsw)
+ *   (zero whenever D is a multiple of 1/N)
+ * - Input RMS Current: Icin = Iout · √(x · (1 - x)) / N
+ *
+ * Loss Estimate (per phase, Iph = Iout / N, multiplied by N):
+ * - Conduction: I²rms(HS) · Rds(on)HS + I²rms(LS) · Rds(on)LS + I²rms(L) · DCR
+ * - Switching: ½ · Vin · fsw · (Ivalley · tr + Ipk · tf) + Coss · Vin² · fsw
+ * - Gate Drive: 2 · Qg · Vdrv · fsw
+ *
+ * This module is designed to update all outputs instantaneously whenever a
+ * user modifies an input value, providing a seamless and responsive experience.
+ */
+
+(function() {
+
+// Largest phase count offered in the comparison table
+const MAX_PHASES = 16;
+
+// --- Core Calculation Functions ---
+
+/**
+ * Calculates the interleaving benefit at the output and input for N phases.
+ *
+ * @param {number} vin - Input voltage (V)
+ * @param {number} dutyCycle - Duty cycle (0-1)
+ * @param {number} iout - Total load current (A)
+ * @param {number} ilpp - Per-phase ripple (A)
+ * @param {number} nph - Phase count
+ * @param {number} inductance - Per-phase inductance (µH)
+ * @param {number} fsw - Per-phase switching frequency (MHz)
+ * @returns {{ioutRipple: number, cancellation: number, icinRms: number}}
+ */
+function calculateMultiphaseInterleaving(vin, dutyCycle, iout, ilpp, nph, inductance, fsw) {
+    const fswHz = utils.mhzToHz(fsw);
+    const lH = inductance / utils.constants.MICRO;
+
+    const x = nph * dutyCycle - Math.floor(nph * dutyCycle);
+    const ioutRipple = vin * x * (1 - x) / (nph * lH * fswHz);
+
+    return {
+        ioutRipple,
+        cancellation: ilpp > 0 ? ioutRipple / ilpp : null,
+        icinRms: iout * Math.sqrt(x * (1 - x)) / nph
+    };
+}
+
+/**
+ * Estimates the total power stage loss for N phases sharing the load.
+ *
+ * @param {Object} p - Values as returned by readMultiphaseInputs()
+ * @param {number} dutyCycle - Duty cycle (0-1)
+ * @param {number} ilpp - Per-phase ripple (A)
+ * @param {number} nph - Phase count
+ * @returns {{conduction: number, switching: number, gate: number, total: number, efficiency: number}}
+ *   Losses for all phases (W), efficiency 0-1
+ */
+function calculateMultiphaseLosses(p, dutyCycle, ilpp, nph) {
+    const fswHz = utils.mhzToHz(p.fsw);
+    const rdsh = p.rdsh / utils.constants.MILLI;
+    const rdsl = p.rdsl / utils.constants.MILLI;
+    const dcr = p.dcr / utils.constants.MILLI;
+    const qg = p.qg / utils.constants.NANO;
+    const coss = p.coss * 1e-12;
+    const tr = p.tr / utils.constants.NANO;
+    const tf = p.tf / utils.constants.NANO;
+
+    const iphase = p.iout / nph;
+    const ipk = iphase + ilpp / 2;
+    const ivalley = iphase - ilpp / 2;
+
+    const hsMeanSquare = utils.segmentMeanSquare(dutyCycle, ivalley, ipk);
+    const lsMeanSquare = utils.segmentMeanSquare(1 - dutyCycle, ivalley, ipk);
+
+    // A negative valley current turns the high side on at zero current
+    const conduction = hsMeanSquare * rdsh + lsMeanSquare * rdsl + (hsMeanSquare + lsMeanSquare) * dcr;
+    const switching = 0.5 * p.vin * fswHz * (Math.max(ivalley, 0) * tr + ipk * tf)
+        + coss * p.vin * p.vin * fswHz;
+    const gate = 2 * qg * p.vdrv * fswHz;
+
+    const total = nph * (conduction + switching + gate);
+    const pout = p.vout * p.iout;
+    return {
+        conduction: nph * conduction,
+        switching: nph * switching,
+        gate: nph * gate,
+        total,
+        efficiency: pout / (pout + total)
+    };
+}
+
+
+// --- Main Orchestration Functions ---
+
+let sweep = null;
+let tolerance = null;
+
+function readMultiphaseInputs() {
+    return {
+        vin: utils.getValue('mpb-vin'),
+        vout: utils.getValue('mpb-vout'),
+        iout: utils.getValue('mpb-iout'),
+        fsw: utils.getValue('mpb-fsw'),
+        inductance: utils.getValue('mpb-inductance'),
+        nph: utils.getValue('mpb-nph'),
+        nmax: utils.getValue('mpb-nmax'),
+        rdsh: utils.getValue('mpb-rdsh') || 0,
+        rdsl: utils.getValue('mpb-rdsl') || 0,
+        dcr: utils.getValue('mpb-dcr') || 0,
+        qg: utils.getValue('mpb-qg') || 0,
+        vdrv: utils.getValue('mpb-vdrv') || 0,
+        coss: utils.getValue('mpb-coss') || 0,
+        tr: utils.getValue('mpb-tr') || 0,
+        tf: utils.getValue('mpb-tf') || 0
+    };
+}
+
+/**
+ * Computes every multiphase output for one operating point (no DOM access).
+ *
+ * @param {Object} inputs - Values as returned by readMultiphaseInputs()
+ * @returns {Object} - { error } when the operating point is invalid, otherwise
+ *   { dutyCycle, ilpp, selected, phases, best } where phases holds one entry per
+ *   phase count { nph, iphase, ipk, ioutRipple, cancellation, icinRms, icinReduction, losses }
+ */
+function computeMultiphaseMetrics(inputs) {
+    const { vin, vout, iout, fsw, inductance, nph, nmax } = inputs;
+
+    // 1. Validate inputs silently
+    const coreInputs = [vin, vout, iout, fsw, inductance, nph, nmax];
+    const coreInputNames = [
+        'Input Voltage', 'Output Voltage', 'Total Load Current', 'Switching Freq',
+        'Inductance', 'Phase Count', 'Max Phases'
+    ];
+
+    if (!utils.validateInputs(coreInputs, coreInputNames, true)) {
+        return { error: 'Enter Vin, Vout, Iout, Fsw, L, the phase count and max phases to calculate.' };
+    }
+
+    if ([vin, vout, iout, fsw, inductance].some(v => v <= 0)) {
+        return { error: 'Vin, Vout, Iout, Fsw and L must be positive values.' };
+    }
+
+    if (vout >= vin) {
+        return { error: 'Vout must be less than Vin for a buck converter.' };
+    }
+
+    if (![nph, nmax].every(n => Number.isInteger(n) && n >= 1 && n <= MAX_PHASES)) {
+        return { error: `Phase count and max phases must be integers from 1 to ${MAX_PHASES}.` };
+    }
+
+    // 2. Perform calculations in order of dependency
+    const dutyCycle = vout / vin;
+    const ilpp = (vin - vout) * dutyCycle / (inductance / utils.constants.MICRO * utils.mhzToHz(fsw));
+    const singlePhaseIcin = iout * Math.sqrt(dutyCycle * (1 - dutyCycle));
+
+    const phases = [];
+    for (let n = 1; n <= Math.max(nph, nmax); n++) {
+        const interleaving = calculateMultiphaseInterleaving(vin, dutyCycle, iout, ilpp, n, inductance, fsw);
+        phases.push({
+            nph: n,
+            iphase: iout / n,
+            ipk: iout / n + ilpp / 2,
+            ...interleaving,
+            icinReduction: singlePhaseIcin > 0 ? 1 - interleaving.icinRms / singlePhaseIcin : 0,
+            losses: calculateMultiphaseLosses(inputs, dutyCycle, ilpp, n)
+        });
+    }
+
+    const best = phases.reduce((a, b) => b.losses.efficiency > a.losses.efficiency ? b : a);
+
+    return {
+        dutyCycle,
+        ilpp,
+        selected: phases[nph - 1],
+        phases,
+        best
+    };
+}
+
+/**
+ * Maps one operating point to the values offered by the sweep plot and tolerance analysis
+ *
+ * @param {Object} inputs - Values as returned by readMultiphaseInputs()
+ * @returns {Object|null} - Plottable outputs, or null if the point is invalid
+ */
+function evaluateMultiphaseSweepPoint(inputs) {
+    const result = computeMultiphaseMetrics(inputs);
+    if (result.error) return null;
+    return {
+        efficiency: result.selected.losses.efficiency * 100,
+        ploss: result.selected.losses.total,
+        ilpp: result.ilpp,
+        ioutRipple: result.selected.ioutRipple,
+        icinRms: result.selected.icinRms,
+        bestN: result.best.nph
+    };
+}
+
+function displayPhaseTable(tbody, phases, best, selected) {
+    tbody.innerHTML = '';
+    phases.forEach(phase => {
+        const row = document.createElement('tr');
+        const cellClass = phase === best ? 'class="highlight-closest"' : '';
+        const marker = phase === selected ? ' ◀' : '';
+
+        row.innerHTML = `
+            <td ${cellClass}>${phase.nph}${marker}</td>
+            <td>${phase.iphase.toFixed(2)}</td>
+            <td>${phase.ioutRipple.toFixed(3)}</td>
+            <td>${phase.icinRms.toFixed(3)}</td>
+            <td>${phase.losses.total.toFixed(3)}</td>
+            <td ${cellClass}>${(phase.losses.efficiency * 100).toFixed(2)}</td>
+        `;
+        tbody.appendChild(row);
+    });
+}
+
+function calculateAllMultiphaseMetrics() {
+    const errorEl = document.getElementById('mpb-error');
+    const setError = (msg) => { if (errorEl) errorEl.textContent = msg || ''; };
+    const tbody = document.getElementById('mpb-table-body');
+    const clearOutputs = () => {
+        ['mpb-duty', 'mpb-iphase', 'mpb-ilpp', 'mpb-ipk', 'mpb-iout-ripple', 'mpb-cancel',
+            'mpb-icin-rms', 'mpb-icin-reduction', 'mpb-ploss', 'mpb-eff', 'mpb-best-n', 'mpb-best-eff'
+        ].forEach(id => utils.setValue(id, '', 2));
+        if (tbody) tbody.innerHTML = '<tr><td colspan="6">Enter a valid operating point to compare phase counts</td></tr>';
+    };
+
+    setError('');
+    if (sweep) sweep.refresh();
+    if (tolerance) tolerance.refresh();
+
+    const result = computeMultiphaseMetrics(readMultiphaseInputs());
+    if (result.error) {
+        clearOutputs();
+        setError(result.error);
+        return;
+    }
+
+    // Update the UI
+    const s = result.selected;
+    utils.setValue('mpb-duty', result.dutyCycle * 100, 2);
+    utils.setValue('mpb-iphase', s.iphase, 3);
+    utils.setValue('mpb-ilpp', result.ilpp, 3);
+    utils.setValue('mpb-ipk', s.ipk, 3);
+    utils.setValue('mpb-iout-ripple', s.ioutRipple, 3);
+    utils.setValue('mpb-cancel', s.cancellation !== null ? s.cancellation * 100 : null, 1);
+    utils.setValue('mpb-icin-rms', s.icinRms, 3);
+    utils.setValue('mpb-icin-reduction', s.icinReduction * 100, 1);
+    utils.setValue('mpb-ploss', s.losses.total, 3);
+    utils.setValue('mpb-eff', s.losses.efficiency * 100, 2);
+    utils.setValue('mpb-best-n', result.best.nph, 0);
+    utils.setValue('mpb-best-eff', result.best.losses.efficiency * 100, 2);
+
+    if (tbody) displayPhaseTable(tbody, result.phases, result.best, s);
+}
+
+
+// --- Event Listener Setup ---
+
+function setupEventListeners() {
+    const mpbInputIds = [
+        'mpb-vin', 'mpb-vout', 'mpb-iout', 'mpb-fsw', 'mpb-inductance',
+        'mpb-nph', 'mpb-nmax', 'mpb-rdsh', 'mpb-rdsl', 'mpb-dcr',
+        'mpb-qg', 'mpb-vdrv', 'mpb-coss', 'mpb-tr', 'mpb-tf'
+    ];
+
+    mpbInputIds.forEach(id => {
+        const input = document.getElementById(id);
+        if (input) {
+            input.addEventListener('input', calculateAllMultiphaseMetrics);
+            // Add Enter key support
+            input.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') calculateAllMultiphaseMetrics();
+            });
+        }
+    });
+}
+
+// --- Initialization ---
+function init() {
+    setupEventListeners();
+
+    const outputs = [
+        { key: 'efficiency', label: 'Efficiency', unit: '%' },
+        { key: 'ploss', label: 'Total Loss', unit: 'W' },
+        { key: 'ilpp', label: 'Per-Phase ΔIL', unit: 'A' },
+        { key: 'ioutRipple', label: 'Output Ripple Current', unit: 'A' },
+        { key: 'icinRms', label: 'Input RMS Current', unit: 'A' },
+        { key: 'bestN', label: 'Best Phase Count', unit: '' }
+    ];
+
+    if (window.plot) {
+        sweep = window.plot.createSweep({
+            id: 'mpb',
+            containerId: 'mpb-sweep',
+            variables: [
+                { key: 'iout', label: 'Load Current', unit: 'A' },
+                { key: 'vin', label: 'Input Voltage', unit: 'V' },
+                { key: 'fsw', label: 'Switching Freq', unit: 'MHz' },
+                { key: 'inductance', label: 'Inductance', unit: 'µH' }
+            ],
+            outputs,
+            readInputs: readMultiphaseInputs,
+            evaluate: evaluateMultiphaseSweepPoint
+        });
+    }
+
+    if (window.tolerance) {
+        tolerance = window.tolerance.createToleranceAnalysis({
+            id: 'mpb',
+            containerId: 'mpb-tolerance',
+            variables: [
+                { key: 'vin', label: 'Input Voltage', unit: 'V' },
+                { key: 'vout', label: 'Output Voltage', unit: 'V' },
+                { key: 'iout', label: 'Load Current', unit: 'A' },
+                { key: 'fsw', label: 'Switching Freq', unit: 'MHz' },
+                { key: 'inductance', label: 'Inductance', unit: 'µH' },
+                { key: 'dcr', label: 'Inductor DCR', unit: 'mΩ' }
+            ],
+            outputs,
+            readInputs: readMultiphaseInputs,
+            evaluate: evaluateMultiphaseSweepPoint
+        });
+    }
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+} else {
+    init();
+}
+
+// Register with calculator registry
+if (window.calculatorRegistry) {
+    window.calculatorRegistry.register(
+        'multiphase-buck',
+        'Multiphase Buck',
+        'Multiphase buck converter with phase-count optimization',
+        { calculateAllMultiphaseMetrics }
+    );
+}
+
+})();
@@ -73,6 +73,156 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    // --- Series/Parallel Combinations ---
+
+    // Parts may be up to COMBO_DECADES decades either side of the target
+    const COMBO_DECADES = 2;
+    const COMBOS_PER_PART_COUNT = 5;
+
+    const parallel = (x, y) => x * y / (x + y);
+    // The resistance that, in parallel with x, gives target (x > target)
+    const parallelComplement = (target, x) => target * x / (x - target);
+
+    /**
+     * Calls fn with the two standard values that bracket an ideal value. The
+     * network value is monotonic in its last part, so one of them is the best
+     * fit. A plain lower-bound search keeps this cheap in the triple loop.
+     */
+    function forNearestValues(values, ideal, fn) {
+        if (!(ideal > 0) || !isFinite(ideal)) return;
+        let low = 0;
+        let high = values.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (values[mid] < ideal) low = mid + 1;
+            else high = mid;
+        }
+        if (low > 0) fn(values[low - 1]);
+        if (low < values.length) fn(values[low]);
+    }
+
+    function formatCombination(topology, r) {
+        const [a, b, c] = r.map(utils.formatResistorValue);
+        switch (topology) {
+            case 'single': return a;
+            case 'series': return r.length === 2 ? `${a} + ${b}` : `${a} + ${b} + ${c}`;
+            case 'parallel': return r.length === 2 ? `${a} ∥ ${b}` : `${a} ∥ ${b} ∥ ${c}`;
+            case 'parallel-series': return `(${a} ∥ ${b}) + ${c}`;
+            case 'series-parallel': return `(${a} + ${b}) ∥ ${c}`;
+            default: return '';
+        }
+    }
+
+    /**
+     * Searches two- and three-resistor series/parallel networks for a target
+     *
+     * For every choice of the first parts, the last part is solved from the
+     * target and snapped to the standard values either side, so the search is
+     * exhaustive over the free parts without enumerating every triple.
+     *
+     * @param {number} target_Ohm - Target resistance (Ω)
+     * @param {number[]} values_Ohm - Sorted standard values (Ω)
+     * @param {number} maxParts - 2 or 3
+     * @returns {Array<Object>} - { label, value, parts, error } with the best
+     *   COMBOS_PER_PART_COUNT distinct values for each part count, ordered by
+     *   part count and then by |error|
+     */
+    function findCombinations(target_Ohm, values_Ohm, maxParts) {
+        const span = Math.pow(10, COMBO_DECADES);
+        const candidates = values_Ohm.filter(v => v >= target_Ohm / span && v <= target_Ohm * span);
+        const best = { 1: [], 2: [], 3: [] };
+
+        // Keeps the best few distinct values per part count, sorted by |error|
+        function add(topology, r, value) {
+            const list = best[r.length];
+            const absError = Math.abs(value - target_Ohm);
+            if (list.length === COMBOS_PER_PART_COUNT && absError >= list[list.length - 1].absError) return;
+
+            const duplicate = list.findIndex(e => Math.abs(e.value - value) <= 1e-9 * target_Ohm);
+            if (duplicate !== -1) return;
+            list.push({ topology, r, value, absError });
+            list.sort((x, y) => x.absError - y.absError);
+            if (list.length > COMBOS_PER_PART_COUNT) list.pop();
+        }
+
+        forNearestValues(values_Ohm, target_Ohm, r => add('single', [r], r));
+
+        candidates.forEach(a => {
+            // a + b
+            if (a < target_Ohm) {
+                forNearestValues(candidates, target_Ohm - a, b => { if (b >= a) add('series', [a, b], a + b); });
+            }
+            // a ∥ b
+            if (a > target_Ohm) {
+                forNearestValues(candidates, parallelComplement(target_Ohm, a), b => { if (b >= a) add('parallel', [a, b], parallel(a, b)); });
+            }
+        });
+
+        if (maxParts >= 3) {
+            candidates.forEach((a, i) => {
+                for (let j = i; j < candidates.length; j++) {
+                    const b = candidates[j];
+                    const abSeries = a + b;
+                    const abParallel = parallel(a, b);
+
+                    // a + b + c and a ∥ b ∥ c, with c the largest so each triple appears once
+                    if (abSeries < target_Ohm) {
+                        forNearestValues(candidates, target_Ohm - abSeries, c => { if (c >= b) add('series', [a, b, c], abSeries + c); });
+                    }
+                    if (abParallel > target_Ohm) {
+                        forNearestValues(candidates, parallelComplement(target_Ohm, abParallel), c => { if (c >= b) add('parallel', [a, b, c], parallel(abParallel, c)); });
+                    }
+                    // (a ∥ b) + c and (a + b) ∥ c
+                    if (abParallel < target_Ohm) {
+                        forNearestValues(candidates, target_Ohm - abParallel, c => add('parallel-series', [a, b, c], abParallel + c));
+                    }
+                    if (abSeries > target_Ohm) {
+                        forNearestValues(candidates, parallelComplement(target_Ohm, abSeries), c => add('series-parallel', [a, b, c], parallel(abSeries, c)));
+                    }
+                }
+            });
+        }
+
+        return [1, 2, 3].flatMap(parts => best[parts].map(e => ({
+            label: formatCombination(e.topology, e.r),
+            value: e.value,
+            parts,
+            error: (e.value - target_Ohm) / target_Ohm * 100
+        })));
+    }
+
+    function rsv_findCombinations() {
+        const errorEl = document.getElementById('rsv-error');
+        if (errorEl) errorEl.textContent = '';
+        const tableBody = document.getElementById('rsv-combo-body');
+        if (!tableBody) return;
+
+        const targetResistor_kOhm = utils.getValue('rsv-target-resistor');
+        const voltage = utils.getValue('rsv-voltage');
+        if (targetResistor_kOhm === null || targetResistor_kOhm <= 0) {
+            tableBody.innerHTML = '<tr><td colspan="5">Enter a positive target resistor value to see combinations.</td></tr>';
+            return;
+        }
+
+        const seriesTolerance = document.getElementById('rsv-combo-series')?.value || '5';
+        const maxParts = parseInt(document.getElementById('rsv-combo-parts')?.value, 10) || 2;
+        const combos = findCombinations(targetResistor_kOhm * 1000, utils.getStandardValues(seriesTolerance), maxParts);
+
+        const bestError = Math.min(...combos.map(c => Math.abs(c.error)));
+        tableBody.innerHTML = '';
+        combos.forEach(combo => {
+            const row = tableBody.insertRow();
+            if (Math.abs(combo.error) === bestError) row.classList.add('highlight-closest');
+            row.insertCell().textContent = combo.label;
+            row.insertCell().textContent = (combo.value / 1000).toFixed(4);
+            row.insertCell().textContent = combo.error.toFixed(4) + '%';
+            row.insertCell().textContent = combo.parts;
+            row.insertCell().textContent = voltage !== null && !isNaN(voltage) && voltage !== 0
+                ? (voltage / combo.value * 1000).toPrecision(3)
+                : '---';
+        });
+    }
+
     // --- Event Listener Setup ---
     const rsvInputIds = ['rsv-target-resistor', 'rsv-voltage'];
     rsvInputIds.forEach(id => {
@@ -88,14 +238,15 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // --- Global Export ---
     window.rsv_updateDisplay = rsv_updateDisplay;
+    window.rsv_findCombinations = rsv_findCombinations;
 
     // Register with calculator registry
     if (window.calculatorRegistry) {
         window.calculatorRegistry.register(
             'res-std-values',
             'Standard Resistor Finder',
-            'Finds standard resistor values near a target value',
-            { rsv_updateDisplay }
+            'Finds standard resistor values and series/parallel combinations near a target value',
+            { rsv_updateDisplay, rsv_findCombinations }
         );
     }
 }); 
\ No newline at end of file
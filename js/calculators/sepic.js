@@ -0,0 +1,310 @@
+'use strict';
+
+/**
+ * SEPIC Converter Calculator (v1.1.0)
+ *
+ * Provides functionality to calculate SEPIC (single-ended primary-inductor
+ * converter) parameters such as:
+ * - Duty cycle
+ * - Average current, ripple and peak current of both inductors
+ * - Coupled (one core) or uncoupled (two cores) inductors
+ * - Coupling capacitor voltage, voltage ripple and RMS current
+ * - Switch and diode voltage and current stresses
+ * - Sweep plot of any output against Iout, Vin, Fsw or L1 (via js/plot.js)
+ * - Worst-case corners and Monte Carlo spread over toleranced inputs (via js/tolerance.js)
+ *
+ * This module is designed to automatically update all performance metrics
+ * in response to user input, providing an instantaneous calculation experience.
+ *
+ * Key SEPIC Equations (CCM, diode rectifier):
+ * - Duty Cycle: D = (Vout + Vf) / (Vin + Vout + Vf)
+ * - Average Inductor Currents: IL1 = Iout · D / (1-D) (input current), IL2 = Iout
+ * - Both inductors see Vin during Ton and -(Vout + Vf) during Toff
+ * - Uncoupled Ripple: ΔIL1 = Vin · D / (L1 · fsw), ΔIL2 = Vin · D / (L2 · fsw)
+ * - Coupled Ripple (M = k · √(L1 · L2), both windings see the same voltage):
+ *   ΔIL1 = Vin · D · (L2 - M) / ((L1 · L2 - M²) · fsw),
+ *   ΔIL2 = Vin · D · (L1 - M) / ((L1 · L2 - M²) · fsw)
+ *   (a negative ripple means the winding current ramps against its voltage)
+ *
+ * Coupling Capacitor:
+ * - Voltage: Vc = Vin
+ * - Ripple: ΔVc = Iout · D / (Cc · fsw)
+ * - RMS Current: IL2 during Ton and IL1 during Toff
+ *
+ * Stresses:
+ * - Switch and Diode Peak Current: IL1(peak) + IL2(peak)
+ * - Switch Voltage: Vin + Vout + Vf, Diode Reverse Voltage: Vin + Vout
+ *
+ * Usage:
+ * - The main function `calculateAllSepicMetrics` is triggered on any input change.
+ * - It reads all inputs, validates them, and then calls the individual calculation functions.
+ * - Results are displayed directly in the corresponding output fields.
+ * - Ripple and stress math is shared with the Ćuk calculator via js/two-inductor.js.
+ */
+
+(function() {
+
+// --- Core Calculation Functions ---
+
+function calculateSepicDutyCycle(vin, vout, vf) {
+    const denominator = vin + vout + vf;
+    if (denominator <= 0) return null;
+
+    // Formula: D = (Vout + Vf) / (Vin + Vout + Vf)
+    return (vout + vf) / denominator;
+}
+
+
+// --- Main Orchestration Functions ---
+
+let sweep = null;
+let tolerance = null;
+
+function readInductorType() {
+    const select = document.getElementById('sepic-inductor-type');
+    return select ? select.value : 'uncoupled';
+}
+
+function readSepicInputs() {
+    return {
+        vin: utils.getValue('sepic-vin'),
+        vout: utils.getValue('sepic-vout'),
+        iout: utils.getValue('sepic-iout'),
+        fsw: utils.getValue('sepic-fsw'),
+        l1: utils.getValue('sepic-l1'),
+        l2: utils.getValue('sepic-l2'),
+        inductorType: readInductorType(),
+        k: utils.getValue('sepic-k'),
+        cc: utils.getValue('sepic-cc'),
+        vf: utils.getValue('sepic-vf') || 0
+    };
+}
+
+/**
+ * Computes every SEPIC output for one operating point (no DOM access).
+ *
+ * @param {Object} inputs - Values as returned by readSepicInputs()
+ * @returns {Object} - { error } when the operating point is invalid, otherwise
+ *   { dutyCycle, il1, il2, ripple1, ripple2, leff1, leff2, il1pk, il2pk, stresses }
+ */
+function computeSepicMetrics(inputs) {
+    const { vin, vout, iout, fsw, l1, l2, inductorType, cc, vf } = inputs;
+    const coupled = inductorType === 'coupled';
+    const k = coupled ? inputs.k : 0;
+
+    // 1. Validate inputs silently
+    const coreInputs = [vin, vout, iout, fsw, l1, l2, cc];
+    const coreInputNames = [
+        'Input Voltage', 'Output Voltage', 'Output Current', 'Switching Freq',
+        'L1', 'L2', 'Coupling Cap'
+    ];
+
+    if (!utils.validateInputs(coreInputs, coreInputNames, true)) {
+        return { error: 'Enter Vin, Vout, Iout, Fsw, L1, L2 and Cc to calculate.' };
+    }
+
+    if ([vin, vout, iout, fsw, l1, l2, cc].some(v => v <= 0) || vf < 0) {
+        return { error: 'Vin, Vout, Iout, Fsw, L1, L2 and Cc must be positive values.' };
+    }
+
+    if (coupled && (k === null || isNaN(k) || k < 0 || k >= 1)) {
+        return { error: 'Coupling coefficient must be in [0, 1).' };
+    }
+
+    // 2. Perform calculations in order of dependency
+    const dutyCycle = calculateSepicDutyCycle(vin, vout, vf);
+    if (dutyCycle === null) {
+        return { error: 'Cannot calculate duty cycle; check Vin and Vout.' };
+    }
+
+    const ripple = twoInductor.calculateRipple({ vin, dutyCycle, l1, l2, k, fsw });
+    if (ripple === null) {
+        return { error: 'Cannot calculate inductor ripple; check L1, L2 and k.' };
+    }
+
+    const il1 = iout * dutyCycle / (1 - dutyCycle);
+    const il2 = iout;
+    const stresses = twoInductor.calculateStresses({
+        vin, vc: vin, vout, vf, iout, cc, fsw, dutyCycle,
+        il1, il2, ripple1: ripple.ripple1, ripple2: ripple.ripple2
+    });
+
+    return {
+        dutyCycle,
+        il1,
+        il2,
+        ...ripple,
+        il1pk: il1 + Math.abs(ripple.ripple1) / 2,
+        il2pk: il2 + Math.abs(ripple.ripple2) / 2,
+        stresses
+    };
+}
+
+/**
+ * Maps one operating point to the values offered by the sweep plot and tolerance analysis
+ *
+ * @param {Object} inputs - Values as returned by readSepicInputs()
+ * @returns {Object|null} - Plottable outputs, or null if the point is invalid
+ */
+function evaluateSepicSweepPoint(inputs) {
+    const result = computeSepicMetrics(inputs);
+    if (result.error) return null;
+    return {
+        duty: result.dutyCycle * 100,
+        ripple1: Math.abs(result.ripple1),
+        ripple2: Math.abs(result.ripple2),
+        iccRms: result.stresses.iccRms,
+        iswPk: result.stresses.iswPk,
+        iswRms: result.stresses.iswRms
+    };
+}
+
+function calculateAllSepicMetrics() {
+    const errorEl = document.getElementById('sepic-error');
+    const setError = (msg) => { if (errorEl) errorEl.textContent = msg || ''; };
+    const clearOutputs = () => {
+        ['sepic-duty', 'sepic-il1', 'sepic-il2', 'sepic-ripple1', 'sepic-ripple2',
+            'sepic-il1pk', 'sepic-il2pk', 'sepic-leff1', 'sepic-leff2',
+            'sepic-vc', 'sepic-dvc', 'sepic-icc-rms',
+            'sepic-vsw', 'sepic-isw-pk', 'sepic-isw-rms', 'sepic-vd', 'sepic-id-pk', 'sepic-id-rms'
+        ].forEach(id => utils.setValue(id, '', 2));
+    };
+    // An infinite effective inductance means the ripple is steered out of that winding
+    const setInductance = (id, value) => utils.setValue(id, isFinite(value) ? value : '', 2);
+
+    setError('');
+    if (sweep) sweep.refresh();
+    if (tolerance) tolerance.refresh();
+
+    const result = computeSepicMetrics(readSepicInputs());
+    if (result.error) {
+        clearOutputs();
+        setError(result.error);
+        return;
+    }
+
+    // Update the UI
+    const s = result.stresses;
+    utils.setValue('sepic-duty', result.dutyCycle * 100, 2);
+    utils.setValue('sepic-il1', result.il1, 3);
+    utils.setValue('sepic-il2', result.il2, 3);
+    utils.setValue('sepic-ripple1', Math.abs(result.ripple1), 3);
+    utils.setValue('sepic-ripple2', Math.abs(result.ripple2), 3);
+    utils.setValue('sepic-il1pk', result.il1pk, 3);
+    utils.setValue('sepic-il2pk', result.il2pk, 3);
+    setInductance('sepic-leff1', Math.abs(result.leff1));
+    setInductance('sepic-leff2', Math.abs(result.leff2));
+
+    utils.setValue('sepic-vc', s.vc, 2);
+    utils.setValue('sepic-dvc', s.dvc !== null ? s.dvc * utils.constants.MILLI : null, 1);
+    utils.setValue('sepic-icc-rms', s.iccRms, 3);
+
+    utils.setValue('sepic-vsw', s.vsw, 2);
+    utils.setValue('sepic-isw-pk', s.iswPk, 3);
+    utils.setValue('sepic-isw-rms', s.iswRms, 3);
+    utils.setValue('sepic-vd', s.vd, 2);
+    utils.setValue('sepic-id-pk', s.idPk, 3);
+    utils.setValue('sepic-id-rms', s.idRms, 3);
+}
+
+
+// --- Event Listener Setup ---
+
+function updateInductorFields() {
+    const k = document.getElementById('sepic-k');
+    if (k) k.disabled = readInductorType() !== 'coupled';
+}
+
+function setupEventListeners() {
+    const typeSelect = document.getElementById('sepic-inductor-type');
+    if (typeSelect) {
+        typeSelect.addEventListener('change', () => {
+            updateInductorFields();
+            calculateAllSepicMetrics();
+        });
+    }
+    updateInductorFields();
+
+    const sepicInputIds = [
+        'sepic-vin', 'sepic-vout', 'sepic-iout', 'sepic-fsw',
+        'sepic-l1', 'sepic-l2', 'sepic-k', 'sepic-cc', 'sepic-vf'
+    ];
+
+    sepicInputIds.forEach(id => {
+        const input = document.getElementById(id);
+        if (input) {
+            input.addEventListener('input', calculateAllSepicMetrics);
+            // Add Enter key support
+            input.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') calculateAllSepicMetrics();
+            });
+        }
+    });
+}
+
+// --- Initialization ---
+function init() {
+    setupEventListeners();
+
+    const outputs = [
+        { key: 'duty', label: 'Duty Cycle', unit: '%' },
+        { key: 'ripple1', label: 'ΔIL1', unit: 'A' },
+        { key: 'ripple2', label: 'ΔIL2', unit: 'A' },
+        { key: 'iccRms', label: 'Cc RMS Current', unit: 'A' },
+        { key: 'iswPk', label: 'Switch Peak Current', unit: 'A' },
+        { key: 'iswRms', label: 'Switch RMS Current', unit: 'A' }
+    ];
+
+    if (window.plot) {
+        sweep = window.plot.createSweep({
+            id: 'sepic',
+            containerId: 'sepic-sweep',
+            variables: [
+                { key: 'iout', label: 'Load Current', unit: 'A' },
+                { key: 'vin', label: 'Input Voltage', unit: 'V' },
+                { key: 'fsw', label: 'Switching Freq', unit: 'MHz' },
+                { key: 'l1', label: 'L1', unit: 'µH' }
+            ],
+            outputs,
+            readInputs: readSepicInputs,
+            evaluate: evaluateSepicSweepPoint
+        });
+    }
+
+    if (window.tolerance) {
+        tolerance = window.tolerance.createToleranceAnalysis({
+            id: 'sepic',
+            containerId: 'sepic-tolerance',
+            variables: [
+                { key: 'vin', label: 'Input Voltage', unit: 'V' },
+                { key: 'vout', label: 'Output Voltage', unit: 'V' },
+                { key: 'iout', label: 'Load Current', unit: 'A' },
+                { key: 'fsw', label: 'Switching Freq', unit: 'MHz' },
+                { key: 'l1', label: 'L1', unit: 'µH' },
+                { key: 'l2', label: 'L2', unit: 'µH' },
+                { key: 'cc', label: 'Coupling Cap', unit: 'µF' }
+            ],
+            outputs,
+            readInputs: readSepicInputs,
+            evaluate: evaluateSepicSweepPoint
+        });
+    }
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+} else {
+    init();
+}
+
+// Register with calculator registry
+if (window.calculatorRegistry) {
+    window.calculatorRegistry.register(
+        'sepic',
+        'SEPIC',
+        'SEPIC converter with coupled or uncoupled inductors',
+        { calculateAllSepicMetrics }
+    );
+}
+
+})();
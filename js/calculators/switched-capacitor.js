@@ -0,0 +1,413 @@
+'use strict';
+
+/**
+ * Switched-Capacitor Converter Calculator (v1.1.0)
+ *
+ * Analyses two-phase n:1 step-down switched-capacitor converters with the
+ * charge-multiplier method (Seeman & Sanders): every capacitor and switch
+ * carries a fixed multiple a_i of the output charge per period, which sets the
+ * slow- and fast-switching-limit output impedances.
+ *
+ * Calculated Outputs:
+ * - Ideal and loaded output voltage, capacitor and switch counts
+ * - SSL, FSL and combined output impedance
+ * - SSL/FSL corner frequency and the efficiency-optimal switching frequency
+ * - Voltage stress, charge multiplier and ripple of every capacitor
+ * - Loss and efficiency at the load current, plotted across load
+ * - Sweep plot of any output against Iout, Vin, Fsw or C (via js/plot.js)
+ * - Worst-case corners and Monte Carlo spread over toleranced inputs (via js/tolerance.js)
+ *
+ * Topologies (n:1, flying capacitors in units of Vout = Vin / n):
+ * - Series-Parallel: n - 1 caps at Vout, each a = 1/n; 3n - 2 switches, each a = 1/n
+ * - Dickson: cap k at k · Vout, each a = 1/n; n chain switches (a = 1/n) and two
+ *   shared bottom-plate rails, each switched by a pair carrying the rail's caps
+ * - Ladder: n - 1 flying caps (Cfj, a = (n - j)/n) and n - 2 stack caps
+ *   (Csk, a = (n - 1 - k)/n), all at Vout; 2n switches, the bottom pair at
+ *   a = (n - 1)/n and the rest at 1/n
+ *
+ * Key Equations (equal capacitance C per cap, equal Ron per switch, 50% duty):
+ * - SSL: R_SSL = Σ a_c² / (C · fsw)
+ * - FSL: R_FSL = 2 · (Ron · Σ a_r² + ESR · Σ a_c²)
+ * - Output Impedance: Rout ≈ √(R_SSL² + R_FSL²)
+ * - Output Voltage: Vout = Vin / n - Iout · Rout
+ * - Loss: Iout² · Rout + Nsw · Qg · Vdrv · fsw
+ * - Capacitor Ripple: ΔVc = a_c · Iout / (C · fsw)
+ *
+ * This module is designed to update all outputs instantaneously whenever a
+ * user modifies an input value, providing a seamless and responsive experience.
+ */
+
+(function() {
+
+// Largest conversion ratio accepted
+const MAX_RATIO = 8;
+
+// Points of the efficiency-versus-load chart, from LOAD_PLOT_MIN to LOAD_PLOT_MAX × Iout
+const LOAD_PLOT_POINTS = 60;
+const LOAD_PLOT_MIN = 0.02;
+const LOAD_PLOT_MAX = 2;
+
+// Search range (Hz) for the efficiency-optimal switching frequency
+const FSW_SEARCH_MIN = 1;
+const FSW_SEARCH_MAX = 1e12;
+
+const TOPOLOGY_NAMES = {
+    'series-parallel': 'Series-Parallel',
+    'dickson': 'Dickson',
+    'ladder': 'Ladder'
+};
+
+// --- Core Calculation Functions ---
+
+/**
+ * Charge multipliers of an n:1 topology, normalised to the output charge.
+ *
+ * @param {string} topology - 'series-parallel', 'dickson' or 'ladder'
+ * @param {number} ratio - Conversion ratio n
+ * @returns {{caps: Array<{name: string, a: number, voltage: number}>, switches: Array<number>}}
+ *   Capacitor multipliers with their voltage in units of Vout, and switch multipliers
+ */
+function calculateChargeMultipliers(topology, ratio) {
+    const n = ratio;
+    const caps = [];
+    const switches = [];
+
+    if (topology === 'dickson') {
+        for (let k = 1; k < n; k++) caps.push({ name: `C${k}`, a: 1 / n, voltage: k });
+        for (let k = 0; k < n; k++) switches.push(1 / n);
+        // Odd and even caps share one bottom-plate rail each
+        const oddCaps = Math.ceil((n - 1) / 2);
+        const evenCaps = Math.floor((n - 1) / 2);
+        [oddCaps, evenCaps].forEach(count => {
+            if (count > 0) switches.push(count / n, count / n);
+        });
+    } else if (topology === 'ladder') {
+        for (let j = 1; j < n; j++) caps.push({ name: `Cf${j}`, a: (n - j) / n, voltage: 1 });
+        for (let k = 1; k < n - 1; k++) caps.push({ name: `Cs${k}`, a: (n - 1 - k) / n, voltage: 1 });
+        switches.push((n - 1) / n, (n - 1) / n);
+        for (let i = 1; i < n; i++) switches.push(1 / n, 1 / n);
+    } else {
+        for (let k = 1; k < n; k++) caps.push({ name: `C${k}`, a: 1 / n, voltage: 1 });
+        for (let i = 0; i < 3 * n - 2; i++) switches.push(1 / n);
+    }
+    return { caps, switches };
+}
+
+/**
+ * Efficiency-optimal switching frequency: minimises
+ * P(f) = Iout² · √((S / f)² + R_FSL²) + K · f, where R_SSL = S / f.
+ *
+ * @param {number} iout - Load current (A)
+ * @param {number} sslConstant - S = Σ a_c² / C (Ω·Hz)
+ * @param {number} rFsl - FSL impedance (Ω)
+ * @param {number} gateConstant - K = Nsw · Qg · Vdrv (J)
+ * @returns {number|null} - Optimal fsw (Hz), or null without a frequency-dependent loss
+ */
+function calculateOptimalFrequency(iout, sslConstant, rFsl, gateConstant) {
+    if (!(gateConstant > 0)) return null;
+
+    // dP/df rises monotonically from -∞ to K, so bisect its zero in log(f)
+    const slope = (f) => {
+        const rSsl = sslConstant / f;
+        return -iout * iout * rSsl * rSsl / (f * Math.sqrt(rSsl * rSsl + rFsl * rFsl)) + gateConstant;
+    };
+    let low = Math.log(FSW_SEARCH_MIN);
+    let high = Math.log(FSW_SEARCH_MAX);
+    if (slope(Math.exp(high)) < 0) return null;
+    for (let i = 0; i < 100; i++) {
+        const mid = (low + high) / 2;
+        if (slope(Math.exp(mid)) < 0) low = mid; else high = mid;
+    }
+    return Math.exp((low + high) / 2);
+}
+
+/**
+ * Output voltage, loss and efficiency at one load current.
+ *
+ * @param {number} vin - Input voltage (V)
+ * @param {number} ratio - Conversion ratio n
+ * @param {number} iout - Load current (A)
+ * @param {number} rout - Output impedance (Ω)
+ * @param {number} gateLoss - Frequency-dependent loss (W)
+ * @returns {{vout: number, loss: number, efficiency: number|null}}
+ */
+function calculateSwitchedCapLoad(vin, ratio, iout, rout, gateLoss) {
+    const vout = vin / ratio - iout * rout;
+    const loss = iout * iout * rout + gateLoss;
+    const pout = vout * iout;
+    return { vout, loss, efficiency: pout > 0 ? pout / (pout + loss) : null };
+}
+
+
+// --- Main Orchestration Functions ---
+
+let sweep = null;
+let tolerance = null;
+
+function readSwitchedCapInputs() {
+    const topologyEl = document.getElementById('sc-topology');
+    return {
+        topology: topologyEl ? topologyEl.value : 'series-parallel',
+        ratio: utils.getValue('sc-ratio'),
+        vin: utils.getValue('sc-vin'),
+        iout: utils.getValue('sc-iout'),
+        fsw: utils.getValue('sc-fsw'),
+        cfly: utils.getValue('sc-cfly'),
+        ron: utils.getValue('sc-ron') || 0,
+        esr: utils.getValue('sc-esr') || 0,
+        qg: utils.getValue('sc-qg') || 0,
+        vdrv: utils.getValue('sc-vdrv') || 0
+    };
+}
+
+/**
+ * Computes every switched-capacitor output for one operating point (no DOM access).
+ *
+ * @param {Object} inputs - Values as returned by readSwitchedCapInputs()
+ * @returns {Object} - { error } when the operating point is invalid, otherwise
+ *   { videal, caps, switchCount, rSsl, rFsl, rout, fCorner, fOptimal, gateLoss,
+ *     vout, loss, efficiency }
+ */
+function computeSwitchedCapMetrics(inputs) {
+    const { topology, ratio, vin, iout, fsw, cfly, ron, esr, qg, vdrv } = inputs;
+
+    // 1. Validate inputs silently
+    const coreInputs = [ratio, vin, iout, fsw, cfly];
+    const coreInputNames = ['Conversion Ratio', 'Input Voltage', 'Output Current', 'Switching Freq', 'Capacitance'];
+
+    if (!utils.validateInputs(coreInputs, coreInputNames, true)) {
+        return { error: 'Enter the ratio, Vin, Iout, Fsw and C to calculate.' };
+    }
+
+    if ([vin, iout, fsw, cfly].some(v => v <= 0)) {
+        return { error: 'Vin, Iout, Fsw and C must be positive values.' };
+    }
+
+    if (!Number.isInteger(ratio) || ratio < 2 || ratio > MAX_RATIO) {
+        return { error: `Conversion ratio must be an integer from 2 to ${MAX_RATIO}.` };
+    }
+
+    if ([ron, esr, qg, vdrv].some(v => v < 0)) {
+        return { error: 'Ron, ESR, Qg and gate drive cannot be negative.' };
+    }
+
+    // 2. Perform calculations in order of dependency
+    const { caps, switches } = calculateChargeMultipliers(topology, ratio);
+    const fswHz = utils.mhzToHz(fsw);
+    const cF = cfly / utils.constants.MICRO;
+    const sumCapSquares = caps.reduce((sum, cap) => sum + cap.a * cap.a, 0);
+    const sumSwitchSquares = switches.reduce((sum, a) => sum + a * a, 0);
+
+    const sslConstant = sumCapSquares / cF;
+    const rSsl = sslConstant / fswHz;
+    const rFsl = 2 * (ron / utils.constants.MILLI * sumSwitchSquares + esr / utils.constants.MILLI * sumCapSquares);
+    const rout = Math.sqrt(rSsl * rSsl + rFsl * rFsl);
+
+    const gateConstant = switches.length * qg / utils.constants.NANO * vdrv;
+    const gateLoss = gateConstant * fswHz;
+    const load = calculateSwitchedCapLoad(vin, ratio, iout, rout, gateLoss);
+    if (load.vout <= 0) {
+        return { error: 'Output impedance drops the whole output voltage at this load; reduce Iout or raise Fsw/C.' };
+    }
+
+    const videal = vin / ratio;
+    return {
+        videal,
+        caps: caps.map(cap => ({
+            ...cap,
+            stress: cap.voltage * videal,
+            ripple: cap.a * iout / (cF * fswHz)
+        })),
+        switchCount: switches.length,
+        rSsl,
+        rFsl,
+        rout,
+        fCorner: rFsl > 0 ? sslConstant / rFsl : null,
+        fOptimal: calculateOptimalFrequency(iout, sslConstant, rFsl, gateConstant),
+        gateLoss,
+        ...load
+    };
+}
+
+/**
+ * Maps one operating point to the values offered by the sweep plot and tolerance analysis
+ *
+ * @param {Object} inputs - Values as returned by readSwitchedCapInputs()
+ * @returns {Object|null} - Plottable outputs, or null if the point is invalid
+ */
+function evaluateSwitchedCapSweepPoint(inputs) {
+    const result = computeSwitchedCapMetrics(inputs);
+    if (result.error) return null;
+    return {
+        efficiency: result.efficiency !== null ? result.efficiency * 100 : null,
+        vout: result.vout,
+        rout: result.rout * utils.constants.MILLI,
+        ploss: result.loss * utils.constants.MILLI
+    };
+}
+
+function displayCapTable(tbody, caps) {
+    tbody.innerHTML = '';
+    caps.forEach(cap => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${cap.name}</td>
+            <td>${cap.stress.toFixed(2)}</td>
+            <td>${cap.a.toFixed(3)}</td>
+            <td>${(cap.ripple * utils.constants.MILLI).toFixed(1)}</td>
+        `;
+        tbody.appendChild(row);
+    });
+}
+
+// Efficiency versus load from LOAD_PLOT_MIN to LOAD_PLOT_MAX × the entered Iout
+function drawEfficiencyPlot(inputs, result) {
+    const canvas = document.getElementById('sc-eff-canvas');
+    if (!canvas || !window.plot) return;
+    if (!result) {
+        window.plot.drawLineChart(canvas, []);
+        return;
+    }
+
+    const loads = window.plot.linspace(inputs.iout * LOAD_PLOT_MIN, inputs.iout * LOAD_PLOT_MAX, LOAD_PLOT_POINTS);
+    const points = window.plot.sweep(loads, (iout) => {
+        const load = calculateSwitchedCapLoad(inputs.vin, inputs.ratio, iout, result.rout, result.gateLoss);
+        return load.vout > 0 && load.efficiency !== null ? load.efficiency * 100 : null;
+    });
+    window.plot.drawLineChart(canvas, [{ label: TOPOLOGY_NAMES[inputs.topology], points }], {
+        xLabel: 'Load Current (A)',
+        yLabel: 'Efficiency (%)',
+        markers: [{ x: inputs.iout, label: 'Iout' }]
+    });
+}
+
+function calculateAllSwitchedCapMetrics() {
+    const errorEl = document.getElementById('sc-error');
+    const setError = (msg) => { if (errorEl) errorEl.textContent = msg || ''; };
+    const tbody = document.getElementById('sc-cap-body');
+    const clearOutputs = () => {
+        ['sc-videal', 'sc-vout', 'sc-ncaps', 'sc-nsw', 'sc-rssl', 'sc-rfsl', 'sc-rout',
+            'sc-fcorner', 'sc-fopt', 'sc-ploss', 'sc-eff'
+        ].forEach(id => utils.setValue(id, '', 2));
+        if (tbody) tbody.innerHTML = '<tr><td colspan="4">Enter a valid operating point to list the capacitors</td></tr>';
+    };
+
+    setError('');
+    if (sweep) sweep.refresh();
+    if (tolerance) tolerance.refresh();
+
+    const inputs = readSwitchedCapInputs();
+    const result = computeSwitchedCapMetrics(inputs);
+    if (result.error) {
+        clearOutputs();
+        setError(result.error);
+        drawEfficiencyPlot(inputs, null);
+        return;
+    }
+
+    // Update the UI
+    const toMilliohms = (r) => r * utils.constants.MILLI;
+    const toMhz = (f) => f !== null ? f / utils.constants.MEGA : null;
+    utils.setValue('sc-videal', result.videal, 3);
+    utils.setValue('sc-vout', result.vout, 3);
+    utils.setValue('sc-ncaps', result.caps.length, 0);
+    utils.setValue('sc-nsw', result.switchCount, 0);
+    utils.setValue('sc-rssl', toMilliohms(result.rSsl), 2);
+    utils.setValue('sc-rfsl', toMilliohms(result.rFsl), 2);
+    utils.setValue('sc-rout', toMilliohms(result.rout), 2);
+    utils.setValue('sc-fcorner', toMhz(result.fCorner), 3);
+    utils.setValue('sc-fopt', toMhz(result.fOptimal), 3);
+    utils.setValue('sc-ploss', result.loss * utils.constants.MILLI, 1);
+    utils.setValue('sc-eff', result.efficiency !== null ? result.efficiency * 100 : null, 2);
+
+    if (tbody) displayCapTable(tbody, result.caps);
+    drawEfficiencyPlot(inputs, result);
+}
+
+
+// --- Event Listener Setup ---
+
+function setupEventListeners() {
+    const topologySelect = document.getElementById('sc-topology');
+    if (topologySelect) topologySelect.addEventListener('change', calculateAllSwitchedCapMetrics);
+
+    const scInputIds = [
+        'sc-ratio', 'sc-vin', 'sc-iout', 'sc-fsw', 'sc-cfly',
+        'sc-ron', 'sc-esr', 'sc-qg', 'sc-vdrv'
+    ];
+
+    scInputIds.forEach(id => {
+        const input = document.getElementById(id);
+        if (input) {
+            input.addEventListener('input', calculateAllSwitchedCapMetrics);
+            // Add Enter key support
+            input.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') calculateAllSwitchedCapMetrics();
+            });
+        }
+    });
+}
+
+// --- Initialization ---
+function init() {
+    setupEventListeners();
+
+    const outputs = [
+        { key: 'efficiency', label: 'Efficiency', unit: '%' },
+        { key: 'vout', label: 'Output Voltage', unit: 'V' },
+        { key: 'rout', label: 'Output Impedance', unit: 'mΩ' },
+        { key: 'ploss', label: 'Total Loss', unit: 'mW' }
+    ];
+
+    if (window.plot) {
+        sweep = window.plot.createSweep({
+            id: 'sc',
+            containerId: 'sc-sweep',
+            variables: [
+                { key: 'iout', label: 'Output Current', unit: 'A' },
+                { key: 'vin', label: 'Input Voltage', unit: 'V' },
+                { key: 'fsw', label: 'Switching Freq', unit: 'MHz' },
+                { key: 'cfly', label: 'Capacitance', unit: 'µF' }
+            ],
+            outputs,
+            readInputs: readSwitchedCapInputs,
+            evaluate: evaluateSwitchedCapSweepPoint
+        });
+    }
+
+    if (window.tolerance) {
+        tolerance = window.tolerance.createToleranceAnalysis({
+            id: 'sc',
+            containerId: 'sc-tolerance',
+            variables: [
+                { key: 'vin', label: 'Input Voltage', unit: 'V' },
+                { key: 'iout', label: 'Output Current', unit: 'A' },
+                { key: 'fsw', label: 'Switching Freq', unit: 'MHz' },
+                { key: 'cfly', label: 'Capacitance', unit: 'µF' },
+                { key: 'ron', label: 'Ron', unit: 'mΩ' },
+                { key: 'esr', label: 'Cap ESR', unit: 'mΩ' }
+            ],
+            outputs,
+            readInputs: readSwitchedCapInputs,
+            evaluate: evaluateSwitchedCapSweepPoint
+        });
+    }
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+} else {
+    init();
+}
+
+// Register with calculator registry
+if (window.calculatorRegistry) {
+    window.calculatorRegistry.register(
+        'switched-capacitor',
+        'Switched-Capacitor',
+        'Series-parallel, Dickson and ladder switched-capacitor converter calculator',
+        { calculateAllSwitchedCapMetrics }
+    );
+}
+
+})();
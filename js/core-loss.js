@@ -0,0 +1,123 @@
+'use strict';
+
+/**
+ * Core Loss Utilities
+ *
+ * Steinmetz / improved Generalized Steinmetz Equation (iGSE) core-loss model
+ * and preset magnetic materials shared by the calculators. The Steinmetz
+ * coefficients describe sinusoidal excitation; the iGSE extends them to the
+ * piecewise-linear (triangular) flux of a switching converter inductor.
+ *
+ * Key Equations (f in Hz, B in T, Pv in W/m³):
+ * - Steinmetz (sinusoidal, peak flux B̂): Pv = k · f^α · B̂^β
+ * - iGSE: Pv = (1/T) ∫ ki · |dB/dt|^α · ΔB^(β-α) dt,
+ *   ki = k / ((2π)^(α-1) · ∫₀^2π |cos θ|^α dθ · 2^(β-α))
+ * - Triangular flux (ΔB peak-to-peak, rising for D1·T, falling for D2·T and
+ *   flat for the rest, as in DCM): Pv = ki · f^α · ΔB^β · (D1^(1-α) + D2^(1-α))
+ *
+ * Usage:
+ * - coreLoss.MATERIALS lists the presets; coreLoss.findMaterial(id) looks one up.
+ * - coreLoss.calculateTriangularCoreLoss(params) returns the loss density and power.
+ */
+
+(function() {
+
+// --- Constants ---
+
+const INTEGRATION_STEPS = 720;
+
+/**
+ * Preset materials. k/alpha/beta are typical Steinmetz fits near 100 °C over
+ * the material's intended frequency range, and bpk is a typical design peak
+ * flux density (T) at the rated saturation current. Check the datasheet of
+ * the actual core before relying on the result.
+ */
+const MATERIALS = [
+    { id: '3c90', name: 'Ferrite 3C90 (MnZn, < 200 kHz)', k: 3.2, alpha: 1.46, beta: 2.75, bpk: 0.35 },
+    { id: '3f4', name: 'Ferrite 3F4 (MnZn, 0.5-2 MHz)', k: 0.16, alpha: 1.75, beta: 2.9, bpk: 0.3 },
+    { id: '4f1', name: 'Ferrite 4F1 (NiZn, 2-10 MHz)', k: 0.55, alpha: 1.6, beta: 2.4, bpk: 0.25 },
+    { id: 'sendust', name: 'Sendust / Kool Mµ (60µ)', k: 1.89, alpha: 1.46, beta: 2.0, bpk: 1.0 },
+    { id: 'iron-26', name: 'Powdered Iron (-26 mix)', k: 270, alpha: 1.2, beta: 2.1, bpk: 1.0 },
+    { id: 'metal-composite', name: 'Molded Metal Powder (composite)', k: 11.5, alpha: 1.3, beta: 2.2, bpk: 0.6 }
+];
+
+// --- Core Calculation Functions ---
+
+/**
+ * Looks up a preset material
+ *
+ * @param {string} id - Material id from MATERIALS
+ * @returns {Object|null} - { id, name, k, alpha, beta, bpk }, or null if unknown
+ */
+function findMaterial(id) {
+    return MATERIALS.find(material => material.id === id) || null;
+}
+
+/**
+ * Converts sinusoidal Steinmetz coefficients to the iGSE coefficient ki
+ *
+ * @param {number} k - Steinmetz coefficient (W/m³ with f in Hz, B in T)
+ * @param {number} alpha - Frequency exponent
+ * @param {number} beta - Flux density exponent
+ * @returns {number} - ki
+ */
+function calculateIgseCoefficient(k, alpha, beta) {
+    // Midpoint rule for ∫₀^2π |cos θ|^α dθ
+    const step = 2 * Math.PI / INTEGRATION_STEPS;
+    let integral = 0;
+    for (let i = 0; i < INTEGRATION_STEPS; i++) {
+        integral += Math.pow(Math.abs(Math.cos((i + 0.5) * step)), alpha) * step;
+    }
+    return k / (Math.pow(2 * Math.PI, alpha - 1) * integral * Math.pow(2, beta - alpha));
+}
+
+/**
+ * Core loss for a triangular (or DCM three-segment) flux waveform via the iGSE
+ *
+ * @param {Object} params
+ * @param {number} params.k - Steinmetz coefficient (W/m³)
+ * @param {number} params.alpha - Frequency exponent
+ * @param {number} params.beta - Flux density exponent
+ * @param {number} params.deltaB - Peak-to-peak flux density swing (T)
+ * @param {number} params.frequency - Switching frequency (Hz)
+ * @param {number} params.riseFraction - Fraction of the period the flux rises (0-1)
+ * @param {number} params.fallFraction - Fraction of the period the flux falls (0-1)
+ * @param {number} params.volume - Effective core volume (m³)
+ * @returns {{lossDensity: number, power: number}|null} - Pv (W/m³) and loss (W),
+ *   or null if the waveform is invalid
+ */
+function calculateTriangularCoreLoss(params) {
+    const { k, alpha, beta, deltaB, frequency, riseFraction, fallFraction, volume } = params;
+    if (!(riseFraction > 0) || !(fallFraction > 0) || riseFraction + fallFraction > 1 + 1e-9) {
+        return null;
+    }
+    if (deltaB === 0) return { lossDensity: 0, power: 0 };
+
+    const ki = calculateIgseCoefficient(k, alpha, beta);
+    const lossDensity = ki * Math.pow(frequency, alpha) * Math.pow(Math.abs(deltaB), beta) *
+        (Math.pow(riseFraction, 1 - alpha) + Math.pow(fallFraction, 1 - alpha));
+    return { lossDensity, power: lossDensity * volume };
+}
+
+/**
+ * Builds the <option> list for a material select: the presets plus 'custom'
+ *
+ * @param {string} [noneLabel] - When given, adds a first 'none' option with this label
+ * @returns {string} - Option HTML
+ */
+function materialOptionsHTML(noneLabel) {
+    const options = MATERIALS.map(material => `<option value="${material.id}">${material.name}</option>`);
+    if (noneLabel) options.unshift(`<option value="none">${noneLabel}</option>`);
+    options.push('<option value="custom">Custom (enter k, α, β)</option>');
+    return options.join('');
+}
+
+window.coreLoss = {
+    MATERIALS,
+    findMaterial,
+    calculateIgseCoefficient,
+    calculateTriangularCoreLoss,
+    materialOptionsHTML
+};
+
+})();
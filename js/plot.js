@@ -0,0 +1,442 @@
+'use strict';
+
+/**
+ * Plotting Utilities
+ *
+ * Dependency-free canvas charts and a parameter-sweep helper shared by the
+ * calculators. A calculator supplies a pure evaluate function that maps an
+ * inputs object to its outputs; the sweep varies one input across a range and
+ * plots one output against it.
+ *
+ * Usage:
+ * - plot.drawLineChart(canvas, series, options) renders one or more XY series.
+ * - plot.createSweep(config) builds a sweep section inside a container element
+ *   and returns { run, refresh } so the owning calculator can re-plot when its
+ *   inputs change.
+ */
+
+(function() {
+
+// --- Constants ---
+
+const DEFAULT_SWEEP_POINTS = 50;
+const MAX_SWEEP_POINTS = 1000;
+const TARGET_TICKS = 5;
+const PLOT_MARGIN = { top: 16, right: 20, bottom: 46, left: 68 };
+
+// --- Helpers ---
+
+function cssVar(name, fallback) {
+    const value = getComputedStyle(document.documentElement).getPropertyValue(name);
+    return value && value.trim() ? value.trim() : fallback;
+}
+
+function getPalette() {
+    return [
+        cssVar('--accent-secondary', '#007bff'),
+        cssVar('--accent-primary', '#4CAF50'),
+        cssVar('--error-acceptable', '#ffc107'),
+        cssVar('--error-poor', '#dc3545'),
+        cssVar('--error-good', '#17a2b8')
+    ];
+}
+
+/**
+ * Returns `count` evenly spaced values from start to stop (inclusive)
+ *
+ * @param {number} start - First value
+ * @param {number} stop - Last value
+ * @param {number} count - Number of values (>= 1)
+ * @returns {Array<number>} - Evenly spaced values
+ *
+ * @example
+ * plot.linspace(0, 1, 5); // [0, 0.25, 0.5, 0.75, 1]
+ */
+function linspace(start, stop, count) {
+    if (count < 2) return [start];
+    const step = (stop - start) / (count - 1);
+    return Array.from({ length: count }, (_, i) => start + i * step);
+}
+
+/**
+ * Evaluates a function at each x value and collects the results as points.
+ * Non-finite results are stored as null so the chart leaves a gap.
+ *
+ * @param {Array<number>} xValues - Values of the swept variable
+ * @param {Function} evaluate - Maps an x value to a y value (or null)
+ * @returns {Array<{x: number, y: number|null}>} - Sweep points
+ */
+function sweep(xValues, evaluate) {
+    return xValues.map(x => {
+        const y = evaluate(x);
+        return { x, y: (y === null || y === undefined || !isFinite(y)) ? null : y };
+    });
+}
+
+function niceStep(range, targetTicks) {
+    const rough = range / targetTicks;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+    const residual = rough / magnitude;
+    if (residual > 5) return 10 * magnitude;
+    if (residual > 2) return 5 * magnitude;
+    if (residual > 1) return 2 * magnitude;
+    return magnitude;
+}
+
+function getTicks(min, max) {
+    const step = niceStep(max - min, TARGET_TICKS);
+    const ticks = [];
+    for (let v = Math.ceil(min / step) * step; v <= max + step * 1e-9; v += step) {
+        ticks.push(Math.abs(v) < step * 1e-9 ? 0 : v);
+    }
+    return { ticks, step };
+}
+
+function formatTick(value, step) {
+    const decimals = Math.min(6, Math.max(0, -Math.floor(Math.log10(step))));
+    return value.toFixed(decimals);
+}
+
+function paddedRange(values, padFraction) {
+    let min = Math.min(...values);
+    let max = Math.max(...values);
+    if (min === max) {
+        const pad = Math.abs(min) * 0.1 || 1;
+        return { min: min - pad, max: max + pad };
+    }
+    const pad = (max - min) * padFraction;
+    return { min: min - pad, max: max + pad };
+}
+
+/**
+ * Prepares a canvas for drawing at the device pixel ratio and clears it
+ *
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @returns {Object|null} - { ctx, width, height } or null if 2D canvas is unavailable
+ */
+function prepareCanvas(canvas) {
+    const ctx = canvas && canvas.getContext ? canvas.getContext('2d') : null;
+    if (!ctx) return null;
+
+    const width = canvas.clientWidth || canvas.width;
+    const height = canvas.clientHeight || canvas.height;
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = Math.round(width * dpr);
+    canvas.height = Math.round(height * dpr);
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    ctx.font = '12px Arial, sans-serif';
+    return { ctx, width, height };
+}
+
+function drawAxes(ctx, frame, xRange, yRange, options) {
+    const { left, top, right, bottom } = frame;
+    const textColor = cssVar('--text-secondary', '#a0a0a0');
+    const gridColor = cssVar('--border-primary', '#444444');
+    const toX = (x) => left + (x - xRange.min) / (xRange.max - xRange.min) * (right - left);
+    const toY = (y) => bottom - (y - yRange.min) / (yRange.max - yRange.min) * (bottom - top);
+
+    ctx.strokeStyle = gridColor;
+    ctx.fillStyle = textColor;
+    ctx.lineWidth = 1;
+
+    const xTicks = getTicks(xRange.min, xRange.max);
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    xTicks.ticks.forEach(t => {
+        const x = toX(t);
+        ctx.beginPath();
+        ctx.moveTo(x, top);
+        ctx.lineTo(x, bottom);
+        ctx.stroke();
+        ctx.fillText(formatTick(t, xTicks.step), x, bottom + 6);
+    });
+
+    const yTicks = getTicks(yRange.min, yRange.max);
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    yTicks.ticks.forEach(t => {
+        const y = toY(t);
+        ctx.beginPath();
+        ctx.moveTo(left, y);
+        ctx.lineTo(right, y);
+        ctx.stroke();
+        ctx.fillText(formatTick(t, yTicks.step), left - 6, y);
+    });
+
+    ctx.strokeRect(left, top, right - left, bottom - top);
+
+    if (options.xLabel) {
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(options.xLabel, (left + right) / 2, frame.height - 4);
+    }
+    if (options.yLabel) {
+        ctx.save();
+        ctx.translate(12, (top + bottom) / 2);
+        ctx.rotate(-Math.PI / 2);
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        ctx.fillText(options.yLabel, 0, 0);
+        ctx.restore();
+    }
+
+    return { toX, toY };
+}
+
+function drawMessage(canvas, message) {
+    const prepared = prepareCanvas(canvas);
+    if (!prepared) return;
+    const { ctx, width, height } = prepared;
+    ctx.fillStyle = cssVar('--text-secondary', '#a0a0a0');
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(message, width / 2, height / 2);
+}
+
+/**
+ * Draws one or more XY series as line charts on a canvas
+ *
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @param {Array<Object>} series - [{ label, points: [{x, y}] }]; null y values leave gaps
+ * @param {Object} options - Chart options
+ * @param {string} [options.xLabel] - X axis label
+ * @param {string} [options.yLabel] - Y axis label
+ * @param {Array<{x: number, label: string}>} [options.markers] - Vertical marker lines
+ * @returns {boolean} - True if the chart was drawn
+ *
+ * @example
+ * plot.drawLineChart(canvas, [{ label: 'Efficiency', points }], { xLabel: 'Iout (A)', yLabel: '%' });
+ */
+function drawLineChart(canvas, series, options = {}) {
+    const allPoints = series.flatMap(s => s.points.filter(p => p.y !== null));
+    if (allPoints.length === 0) {
+        drawMessage(canvas, 'No valid points to plot');
+        return false;
+    }
+
+    const prepared = prepareCanvas(canvas);
+    if (!prepared) return false;
+    const { ctx, width, height } = prepared;
+
+    const frame = {
+        left: PLOT_MARGIN.left,
+        top: PLOT_MARGIN.top,
+        right: width - PLOT_MARGIN.right,
+        bottom: height - PLOT_MARGIN.bottom,
+        height
+    };
+    const xRange = paddedRange(series.flatMap(s => s.points.map(p => p.x)), 0);
+    const yRange = paddedRange(allPoints.map(p => p.y), 0.05);
+    const { toX, toY } = drawAxes(ctx, frame, xRange, yRange, options);
+
+    const palette = getPalette();
+
+    (options.markers || []).forEach(marker => {
+        if (marker.x < xRange.min || marker.x > xRange.max) return;
+        const x = toX(marker.x);
+        ctx.save();
+        ctx.strokeStyle = cssVar('--text-secondary', '#a0a0a0');
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(x, frame.top);
+        ctx.lineTo(x, frame.bottom);
+        ctx.stroke();
+        ctx.restore();
+        if (marker.label) {
+            ctx.fillStyle = cssVar('--text-secondary', '#a0a0a0');
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'top';
+            ctx.fillText(marker.label, x + 4, frame.top + 4);
+        }
+    });
+
+    series.forEach((s, i) => {
+        ctx.strokeStyle = s.color || palette[i % palette.length];
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        let penDown = false;
+        s.points.forEach(p => {
+            if (p.y === null) {
+                penDown = false;
+                return;
+            }
+            if (penDown) {
+                ctx.lineTo(toX(p.x), toY(p.y));
+            } else {
+                ctx.moveTo(toX(p.x), toY(p.y));
+                penDown = true;
+            }
+        });
+        ctx.stroke();
+    });
+
+    // Legend only when more than one series is shown
+    if (series.length > 1) {
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        series.forEach((s, i) => {
+            const y = frame.top + 12 + i * 16;
+            ctx.fillStyle = s.color || palette[i % palette.length];
+            ctx.fillRect(frame.right - 150, y - 2, 14, 4);
+            ctx.fillStyle = cssVar('--text-primary', '#e0e0e0');
+            ctx.fillText(s.label, frame.right - 130, y);
+        });
+    }
+
+    return true;
+}
+
+// --- Sweep Section ---
+
+function createSweepHTML(id, config) {
+    const options = (items) => items
+        .map(item => `<option value="${item.key}">${item.label}</option>`)
+        .join('');
+    return `
+        <h3>Sweep Plot</h3>
+        <div class="input-group">
+            <label for="${id}-sweep-var">Sweep Input:</label>
+            <select id="${id}-sweep-var" class="sweep-select">${options(config.variables)}</select>
+            <span class="unit"></span>
+        </div>
+        <div class="input-group">
+            <label for="${id}-sweep-from">From:</label>
+            <input type="number" id="${id}-sweep-from" step="any">
+            <span class="unit" id="${id}-sweep-from-unit"></span>
+        </div>
+        <div class="input-group">
+            <label for="${id}-sweep-to">To:</label>
+            <input type="number" id="${id}-sweep-to" step="any">
+            <span class="unit" id="${id}-sweep-to-unit"></span>
+        </div>
+        <div class="input-group">
+            <label for="${id}-sweep-points">Points:</label>
+            <input type="number" id="${id}-sweep-points" step="1" min="2" max="${MAX_SWEEP_POINTS}" value="${DEFAULT_SWEEP_POINTS}">
+            <span class="unit"></span>
+        </div>
+        <div class="input-group">
+            <label for="${id}-sweep-out">Plot Output:</label>
+            <select id="${id}-sweep-out" class="sweep-select">${options(config.outputs)}</select>
+            <span class="unit"></span>
+            <button class="calc-button" id="${id}-sweep-run">Plot</button>
+        </div>
+        <canvas id="${id}-sweep-canvas" class="plot-canvas"></canvas>
+        <p class="error-message" id="${id}-sweep-error" aria-live="polite"></p>`;
+}
+
+/**
+ * Builds a sweep section for a calculator and wires its controls
+ *
+ * @param {Object} config - Sweep configuration
+ * @param {string} config.id - Calculator ID prefix used for element IDs (e.g. 'buck')
+ * @param {string} config.containerId - ID of the element that receives the section
+ * @param {Array<{key: string, label: string, unit: string}>} config.variables - Sweepable inputs
+ * @param {Array<{key: string, label: string, unit: string}>} config.outputs - Plottable outputs
+ * @param {Function} config.readInputs - Returns the calculator's current inputs object
+ * @param {Function} config.evaluate - Maps an inputs object to { [outputKey]: value } or null
+ * @returns {Object|null} - { run, refresh } or null if the container is missing
+ */
+function createSweep(config) {
+    const container = document.getElementById(config.containerId);
+    if (!container) return null;
+
+    const id = config.id;
+    container.innerHTML = createSweepHTML(id, config);
+
+    const el = (suffix) => document.getElementById(`${id}-sweep-${suffix}`);
+    const setError = (msg) => { const e = el('error'); if (e) e.textContent = msg || ''; };
+    let hasPlotted = false;
+
+    const selectedVariable = () => config.variables.find(v => v.key === el('var').value) || config.variables[0];
+    const selectedOutput = () => config.outputs.find(o => o.key === el('out').value) || config.outputs[0];
+
+    function updateRangeDefaults() {
+        const variable = selectedVariable();
+        el('from-unit').textContent = variable.unit;
+        el('to-unit').textContent = variable.unit;
+        const base = config.readInputs()[variable.key];
+        if (base !== null && base !== undefined && isFinite(base) && base > 0) {
+            utils.setValue(`${id}-sweep-from`, base * 0.1, 3);
+            utils.setValue(`${id}-sweep-to`, base * 2, 3);
+        }
+    }
+
+    function run() {
+        setError('');
+        const variable = selectedVariable();
+        const output = selectedOutput();
+        const from = utils.getValue(`${id}-sweep-from`);
+        const to = utils.getValue(`${id}-sweep-to`);
+        const count = Math.round(utils.getValue(`${id}-sweep-points`) || DEFAULT_SWEEP_POINTS);
+
+        if (!utils.validateInputs([from, to], ['From', 'To'])) {
+            setError('Enter the sweep range (From and To).');
+            return;
+        }
+        if (from === to) {
+            setError('From and To must differ.');
+            return;
+        }
+        if (count < 2 || count > MAX_SWEEP_POINTS) {
+            setError(`Points must be between 2 and ${MAX_SWEEP_POINTS}.`);
+            return;
+        }
+
+        const base = config.readInputs();
+        const points = sweep(linspace(from, to, count), x => {
+            const result = config.evaluate({ ...base, [variable.key]: x });
+            return result ? result[output.key] : null;
+        });
+
+        hasPlotted = true;
+        if (points.every(p => p.y === null)) {
+            drawMessage(el('canvas'), 'No valid points to plot');
+            setError(`${output.label} is undefined across this range. Check the calculator inputs.`);
+            return;
+        }
+
+        const baseX = base[variable.key];
+        drawLineChart(el('canvas'), [{ label: output.label, points }], {
+            xLabel: `${variable.label} (${variable.unit})`,
+            yLabel: `${output.label} (${output.unit})`,
+            markers: baseX !== null && isFinite(baseX) ? [{ x: baseX, label: 'Operating point' }] : []
+        });
+    }
+
+    // Re-plot after the calculator's inputs change, once a plot is showing
+    function refresh() {
+        if (hasPlotted) run();
+    }
+
+    el('var').addEventListener('change', () => {
+        updateRangeDefaults();
+        if (hasPlotted) run();
+    });
+    el('out').addEventListener('change', refresh);
+    el('run').addEventListener('click', () => {
+        if (el('from').value === '' && el('to').value === '') updateRangeDefaults();
+        run();
+    });
+    ['from', 'to', 'points'].forEach(suffix => {
+        el(suffix).addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') run();
+        });
+    });
+
+    el('from-unit').textContent = selectedVariable().unit;
+    el('to-unit').textContent = selectedVariable().unit;
+
+    return { run, refresh };
+}
+
+// Export plotting utilities to global scope
+window.plot = {
+    linspace,
+    sweep,
+    drawLineChart,
+    drawMessage,
+    createSweep
+};
+
+})();
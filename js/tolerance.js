@@ -0,0 +1,536 @@
+'use strict';
+
+/**
+ * Tolerance Analysis Utilities
+ *
+ * Worst-case (min/typ/max) analysis shared by the converter calculators. Each
+ * toleranced input carries either a ± percentage around its typical value or
+ * an explicit min/max. Every output is then evaluated at all 2^k corners of the
+ * k toleranced inputs and, optionally, by Monte Carlo sampling with a histogram.
+ *
+ * Corner enumeration finds the true worst case when an output is monotonic in
+ * each input, which holds for ripple, duty cycle and peak currents. Outputs
+ * with an interior extremum (e.g. efficiency vs load) can peak between corners;
+ * the Monte Carlo run shows the spread in that case.
+ *
+ * Usage:
+ * - tolerance.enumerateCorners(...) / tolerance.runMonteCarlo(...) are pure and
+ *   take the same evaluate function as plot.createSweep.
+ * - tolerance.createToleranceAnalysis(config) builds the section inside a
+ *   container element and returns { run, refresh }.
+ * - tolerance.sampleRange(...) and tolerance.drawHistogram(...) serve
+ *   calculators that run their own Monte Carlo (e.g. the divider yield).
+ */
+
+(function() {
+
+// --- Constants ---
+
+const DEFAULT_SAMPLES = 2000;
+const MAX_SAMPLES = 20000;
+const HISTOGRAM_BINS = 30;
+// Normal sampling treats the tolerance band as ±3σ and clips at its edges
+const NORMAL_SIGMAS = 3;
+
+// --- Core Calculation Functions ---
+
+/**
+ * Resolves one input's tolerance into an absolute range
+ *
+ * @param {number} typ - Typical (nominal) value
+ * @param {Object} tol - { mode: 'pct', pct } or { mode: 'range', min, max }
+ * @returns {{min: number, max: number}|{error: string}} - Range, or an error
+ */
+function resolveRange(typ, tol) {
+    if (tol.mode === 'range') {
+        if (tol.min > tol.max) return { error: 'Min must not exceed Max.' };
+        if (typ < tol.min || typ > tol.max) return { error: 'the typical value must lie between Min and Max.' };
+        return { min: tol.min, max: tol.max };
+    }
+    if (tol.pct < 0) return { error: 'the tolerance must not be negative.' };
+    const delta = Math.abs(typ) * tol.pct / 100;
+    return { min: typ - delta, max: typ + delta };
+}
+
+/**
+ * Evaluates the outputs at the nominal point and at every corner of the ranges
+ *
+ * @param {Object} base - Nominal inputs object
+ * @param {Array<{key: string, min: number, max: number}>} ranges - Toleranced inputs
+ * @param {Function} evaluate - Maps an inputs object to { [outputKey]: value } or null
+ * @param {Array<{key: string}>} outputs - Outputs to track
+ * @returns {Object} - { nominal, stats, corners, invalid } where stats[key] is
+ *   { min, max, minCorner, maxCorner } and a corner is a list of { key, end }
+ *   ('min'/'max') or null for the nominal point
+ */
+function enumerateCorners(base, ranges, evaluate, outputs) {
+    const nominal = evaluate(base);
+    const stats = {};
+    outputs.forEach(output => {
+        const value = nominal ? nominal[output.key] : null;
+        const valid = value !== null && value !== undefined && isFinite(value);
+        stats[output.key] = {
+            min: valid ? value : null,
+            max: valid ? value : null,
+            minCorner: null,
+            maxCorner: null
+        };
+    });
+
+    const corners = 1 << ranges.length;
+    let invalid = 0;
+    for (let mask = 0; mask < corners; mask++) {
+        const inputs = { ...base };
+        const corner = ranges.map((range, i) => {
+            const end = (mask >> i) & 1 ? 'max' : 'min';
+            inputs[range.key] = range[end];
+            return { key: range.key, end };
+        });
+
+        const result = evaluate(inputs);
+        if (!result) {
+            invalid++;
+            continue;
+        }
+        outputs.forEach(output => {
+            const value = result[output.key];
+            if (value === null || value === undefined || !isFinite(value)) return;
+            const s = stats[output.key];
+            if (s.min === null || value < s.min) {
+                s.min = value;
+                s.minCorner = corner;
+            }
+            if (s.max === null || value > s.max) {
+                s.max = value;
+                s.maxCorner = corner;
+            }
+        });
+    }
+
+    return { nominal, stats, corners, invalid };
+}
+
+// Standard normal deviate (Box-Muller)
+function randomNormal() {
+    const u = 1 - Math.random();
+    const v = Math.random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Draws one value from a tolerance range
+ *
+ * Uniform spreads evenly over [min, max]. Normal centres on the typical value
+ * and maps each side of the band to 3σ, so an asymmetric min/max still works.
+ *
+ * @param {number} typ - Typical value
+ * @param {{min: number, max: number}} range - Tolerance range
+ * @param {string} distribution - 'uniform' or 'normal'
+ * @returns {number} - Sampled value
+ */
+function sampleRange(typ, range, distribution) {
+    if (distribution === 'normal') {
+        const z = Math.max(-NORMAL_SIGMAS, Math.min(NORMAL_SIGMAS, randomNormal()));
+        const halfWidth = z < 0 ? typ - range.min : range.max - typ;
+        return typ + z * halfWidth / NORMAL_SIGMAS;
+    }
+    return range.min + Math.random() * (range.max - range.min);
+}
+
+/**
+ * Evaluates the outputs at randomly drawn input combinations
+ *
+ * @param {Object} base - Nominal inputs object
+ * @param {Array<{key: string, min: number, max: number}>} ranges - Toleranced inputs
+ * @param {Function} evaluate - Maps an inputs object to { [outputKey]: value } or null
+ * @param {Array<{key: string}>} outputs - Outputs to collect
+ * @param {number} samples - Number of draws
+ * @param {string} distribution - 'uniform' or 'normal'
+ * @returns {{values: Object, invalid: number}} - values[key] holds every finite sample
+ */
+function runMonteCarlo(base, ranges, evaluate, outputs, samples, distribution) {
+    const values = {};
+    outputs.forEach(output => { values[output.key] = []; });
+
+    let invalid = 0;
+    for (let n = 0; n < samples; n++) {
+        const inputs = { ...base };
+        ranges.forEach(range => {
+            inputs[range.key] = sampleRange(base[range.key], range, distribution);
+        });
+
+        const result = evaluate(inputs);
+        if (!result) {
+            invalid++;
+            continue;
+        }
+        outputs.forEach(output => {
+            const value = result[output.key];
+            if (value !== null && value !== undefined && isFinite(value)) values[output.key].push(value);
+        });
+    }
+
+    return { values, invalid };
+}
+
+/**
+ * Mean, standard deviation and extremes of a sample set
+ *
+ * @param {number[]} values - Samples
+ * @returns {{mean: number, std: number, min: number, max: number}|null} - null if empty
+ */
+function summarize(values) {
+    if (values.length === 0) return null;
+    let sum = 0;
+    let min = Infinity;
+    let max = -Infinity;
+    values.forEach(v => {
+        sum += v;
+        if (v < min) min = v;
+        if (v > max) max = v;
+    });
+    const mean = sum / values.length;
+    const variance = values.reduce((acc, v) => acc + (v - mean) * (v - mean), 0) / values.length;
+    return { mean, std: Math.sqrt(variance), min, max };
+}
+
+/**
+ * Bins samples into equal-width bins
+ *
+ * @param {number[]} values - Samples
+ * @param {number} [bins] - Bin count
+ * @returns {{edges: number[], counts: number[]}|null} - bins + 1 edges, or null if empty
+ */
+function histogram(values, bins = HISTOGRAM_BINS) {
+    const stats = summarize(values);
+    if (!stats) return null;
+
+    // A constant output still gets a visible bar
+    const span = stats.max - stats.min || Math.abs(stats.min) * 1e-3 || 1;
+    const start = stats.max === stats.min ? stats.min - span / 2 : stats.min;
+    const width = span / bins;
+    const edges = Array.from({ length: bins + 1 }, (_, i) => start + i * width);
+    const counts = new Array(bins).fill(0);
+    values.forEach(v => {
+        counts[Math.min(bins - 1, Math.floor((v - start) / width))]++;
+    });
+    return { edges, counts };
+}
+
+// --- UI ---
+
+/**
+ * Plots a sample set as a histogram, with the bars outlined as a step trace
+ *
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @param {number[]} values - Samples
+ * @param {Object} options - { xLabel, markers } as for plot.drawLineChart
+ */
+function drawHistogram(canvas, values, options) {
+    const bins = histogram(values);
+    if (!bins) {
+        window.plot.drawMessage(canvas, 'No valid samples to plot');
+        return;
+    }
+
+    const points = [{ x: bins.edges[0], y: 0 }];
+    bins.counts.forEach((count, i) => {
+        points.push({ x: bins.edges[i], y: count }, { x: bins.edges[i + 1], y: count });
+    });
+    points.push({ x: bins.edges[bins.edges.length - 1], y: 0 });
+
+    window.plot.drawLineChart(canvas, [{ label: 'Samples', points }], {
+        xLabel: options.xLabel,
+        yLabel: 'Samples',
+        markers: options.markers || []
+    });
+}
+
+function formatValue(value) {
+    if (value === null || value === undefined || !isFinite(value)) return '—';
+    return String(parseFloat(value.toPrecision(4)));
+}
+
+function describeCorner(corner, variables) {
+    if (!corner) return 'Nominal';
+    if (corner.length === 0) return '—';
+    return corner
+        .map(c => `${variables.find(v => v.key === c.key).label} ${c.end}`)
+        .join(', ');
+}
+
+function createToleranceHTML(id, config) {
+    const rows = config.variables.map(v => `
+                    <tr>
+                        <td>${v.label} (${v.unit})</td>
+                        <td id="${id}-tol-${v.key}-typ">—</td>
+                        <td>
+                            <select id="${id}-tol-${v.key}-mode" class="sweep-select">
+                                <option value="pct">± %</option>
+                                <option value="range">Min / Max</option>
+                            </select>
+                        </td>
+                        <td><input type="number" id="${id}-tol-${v.key}-a" step="any" placeholder="±%"></td>
+                        <td><input type="number" id="${id}-tol-${v.key}-b" step="any" placeholder="Max" disabled></td>
+                        <td id="${id}-tol-${v.key}-range">—</td>
+                    </tr>`).join('');
+    const outputOptions = config.outputs
+        .map(o => `<option value="${o.key}">${o.label}</option>`)
+        .join('');
+    return `
+        <h3>Tolerance Analysis</h3>
+        <div class="results-table-container">
+            <table class="results-table tolerance-table">
+                <thead>
+                    <tr>
+                        <th>Input</th>
+                        <th>Typ</th>
+                        <th>Tolerance</th>
+                        <th>±% / Min</th>
+                        <th>Max</th>
+                        <th>Range</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}
+                </tbody>
+            </table>
+        </div>
+        <div class="input-group">
+            <label for="${id}-tol-mc">Monte Carlo:</label>
+            <select id="${id}-tol-mc" class="sweep-select">
+                <option value="off">Off (corners only)</option>
+                <option value="uniform">Uniform</option>
+                <option value="normal">Normal (band = ±3σ)</option>
+            </select>
+            <span class="unit"></span>
+        </div>
+        <div class="input-group">
+            <label for="${id}-tol-samples">Samples:</label>
+            <input type="number" id="${id}-tol-samples" step="1" min="1" max="${MAX_SAMPLES}" value="${DEFAULT_SAMPLES}">
+            <span class="unit"></span>
+            <button class="calc-button" id="${id}-tol-run">Analyze</button>
+        </div>
+        <div class="results-table-container">
+            <table class="results-table">
+                <thead>
+                    <tr>
+                        <th>Output</th>
+                        <th>Nominal</th>
+                        <th>Worst Min</th>
+                        <th>Min Corner</th>
+                        <th>Worst Max</th>
+                        <th>Max Corner</th>
+                        <th>MC Mean</th>
+                        <th>MC σ</th>
+                        <th>MC Min</th>
+                        <th>MC Max</th>
+                    </tr>
+                </thead>
+                <tbody id="${id}-tol-body"></tbody>
+            </table>
+        </div>
+        <div class="input-group">
+            <label for="${id}-tol-hist-out">Histogram Output:</label>
+            <select id="${id}-tol-hist-out" class="sweep-select">${outputOptions}</select>
+            <span class="unit"></span>
+        </div>
+        <canvas id="${id}-tol-canvas" class="plot-canvas"></canvas>
+        <p class="error-message" id="${id}-tol-error" aria-live="polite"></p>`;
+}
+
+/**
+ * Builds a tolerance analysis section for a calculator and wires its controls
+ *
+ * @param {Object} config - Analysis configuration
+ * @param {string} config.id - Calculator ID prefix used for element IDs (e.g. 'buck')
+ * @param {string} config.containerId - ID of the element that receives the section
+ * @param {Array<{key: string, label: string, unit: string}>} config.variables - Inputs that can carry a tolerance
+ * @param {Array<{key: string, label: string, unit: string}>} config.outputs - Outputs to report
+ * @param {Function} config.readInputs - Returns the calculator's current inputs object
+ * @param {Function} config.evaluate - Maps an inputs object to { [outputKey]: value } or null
+ * @returns {Object|null} - { run, refresh } or null if the container is missing
+ */
+function createToleranceAnalysis(config) {
+    const container = document.getElementById(config.containerId);
+    if (!container) return null;
+
+    const id = config.id;
+    container.innerHTML = createToleranceHTML(id, config);
+
+    const el = (suffix) => document.getElementById(`${id}-tol-${suffix}`);
+    const setError = (msg) => { const e = el('error'); if (e) e.textContent = msg || ''; };
+    let hasRun = false;
+    let samples = null;
+    let cornerStats = null;
+
+    function readTolerance(variable) {
+        const mode = el(`${variable.key}-mode`).value;
+        const a = utils.getValue(`${id}-tol-${variable.key}-a`);
+        const b = utils.getValue(`${id}-tol-${variable.key}-b`);
+        if (mode === 'range') {
+            return a === null && b === null ? null : { mode, min: a, max: b };
+        }
+        return a === null || a === 0 ? null : { mode, pct: a };
+    }
+
+    // Resolves every toleranced input; fills the Typ and Range columns as it goes
+    function readRanges(base) {
+        const ranges = [];
+        for (const variable of config.variables) {
+            const typ = base[variable.key];
+            const hasTyp = typ !== null && typ !== undefined && isFinite(typ);
+            el(`${variable.key}-typ`).textContent = hasTyp ? formatValue(typ) : '—';
+            el(`${variable.key}-range`).textContent = '—';
+
+            const tol = readTolerance(variable);
+            if (!tol) continue;
+            if (!hasTyp) return { error: `${variable.label}: enter a typical value in the calculator first.` };
+            if (tol.mode === 'range' && (tol.min === null || tol.max === null)) {
+                return { error: `${variable.label}: enter both Min and Max.` };
+            }
+
+            const range = resolveRange(typ, tol);
+            if (range.error) return { error: `${variable.label}: ${range.error}` };
+            el(`${variable.key}-range`).textContent = `${formatValue(range.min)} – ${formatValue(range.max)}`;
+            if (range.min !== range.max) ranges.push({ key: variable.key, ...range });
+        }
+        return { ranges };
+    }
+
+    function displayResults(corners, mc) {
+        const tbody = el('body');
+        tbody.innerHTML = '';
+        config.outputs.forEach(output => {
+            const nominal = corners.nominal ? corners.nominal[output.key] : null;
+            const s = corners.stats[output.key];
+            const m = mc ? summarize(mc.values[output.key]) : null;
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td>${output.label}${output.unit ? ` (${output.unit})` : ''}</td>
+                <td>${formatValue(nominal)}</td>
+                <td>${formatValue(s.min)}</td>
+                <td>${s.min !== null ? describeCorner(s.minCorner, config.variables) : '—'}</td>
+                <td>${formatValue(s.max)}</td>
+                <td>${s.max !== null ? describeCorner(s.maxCorner, config.variables) : '—'}</td>
+                <td>${formatValue(m ? m.mean : null)}</td>
+                <td>${formatValue(m ? m.std : null)}</td>
+                <td>${formatValue(m ? m.min : null)}</td>
+                <td>${formatValue(m ? m.max : null)}</td>
+            `;
+            tbody.appendChild(row);
+        });
+    }
+
+    function plotHistogram() {
+        const output = config.outputs.find(o => o.key === el('hist-out').value) || config.outputs[0];
+        if (!samples) {
+            window.plot.drawMessage(el('canvas'), el('mc').value === 'off'
+                ? 'Enable Monte Carlo to plot a histogram'
+                : 'Click Analyze to run Monte Carlo');
+            return;
+        }
+
+        const s = cornerStats ? cornerStats.stats[output.key] : null;
+        drawHistogram(el('canvas'), samples.values[output.key], {
+            xLabel: `${output.label}${output.unit ? ` (${output.unit})` : ''}`,
+            markers: s && s.min !== null
+                ? [{ x: s.min, label: 'Worst min' }, { x: s.max, label: 'Worst max' }]
+                : []
+        });
+    }
+
+    /**
+     * Evaluates the corners and, unless cornersOnly is set, the Monte Carlo run
+     *
+     * @param {boolean} [cornersOnly=false] - Skip Monte Carlo and clear its results
+     */
+    function run(cornersOnly = false) {
+        setError('');
+        const base = config.readInputs();
+        const resolved = readRanges(base);
+        if (resolved.error) {
+            setError(resolved.error);
+            return;
+        }
+
+        const distribution = el('mc').value;
+        const count = Math.round(utils.getValue(`${id}-tol-samples`) || DEFAULT_SAMPLES);
+        if (!cornersOnly && distribution !== 'off' && (count < 1 || count > MAX_SAMPLES)) {
+            setError(`Samples must be between 1 and ${MAX_SAMPLES}.`);
+            return;
+        }
+
+        hasRun = true;
+        const { ranges } = resolved;
+        cornerStats = enumerateCorners(base, ranges, config.evaluate, config.outputs);
+        samples = !cornersOnly && distribution !== 'off' && ranges.length > 0
+            ? runMonteCarlo(base, ranges, config.evaluate, config.outputs, count, distribution)
+            : null;
+        displayResults(cornerStats, samples);
+        if (window.plot) plotHistogram();
+
+        const notes = [];
+        if (!cornerStats.nominal) notes.push('The nominal point is invalid. Check the calculator inputs.');
+        if (ranges.length === 0) notes.push('Enter a tolerance on at least one input to see worst-case corners.');
+        if (cornerStats.invalid > 0) {
+            notes.push(`${cornerStats.invalid} of ${cornerStats.corners} corners are invalid operating points and were skipped.`);
+        }
+        if (samples && samples.invalid > 0) {
+            notes.push(`${samples.invalid} of ${count} Monte Carlo samples are invalid and were skipped.`);
+        }
+        if (cornersOnly && distribution !== 'off' && ranges.length > 0) {
+            notes.push('Inputs changed: click Analyze or press Enter to re-run Monte Carlo.');
+        }
+        setError(notes.join(' '));
+    }
+
+    // Re-run the corners after the calculator's inputs change, once results are
+    // showing. Monte Carlo can take seconds, so it waits for Analyze or Enter.
+    function refresh() {
+        if (hasRun) {
+            run(true);
+        } else {
+            readRanges(config.readInputs());
+        }
+    }
+
+    config.variables.forEach(variable => {
+        const mode = el(`${variable.key}-mode`);
+        mode.addEventListener('change', () => {
+            const isRange = mode.value === 'range';
+            el(`${variable.key}-a`).placeholder = isRange ? 'Min' : '±%';
+            el(`${variable.key}-b`).disabled = !isRange;
+            refresh();
+        });
+        ['a', 'b'].forEach(suffix => {
+            el(`${variable.key}-${suffix}`).addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') run();
+            });
+        });
+    });
+    el('hist-out').addEventListener('change', () => {
+        if (hasRun && window.plot) plotHistogram();
+    });
+    el('samples').addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') run();
+    });
+    el('run').addEventListener('click', () => run());
+
+    readRanges(config.readInputs());
+
+    return { run, refresh };
+}
+
+// Export tolerance utilities to global scope
+window.tolerance = {
+    resolveRange,
+    enumerateCorners,
+    sampleRange,
+    runMonteCarlo,
+    summarize,
+    histogram,
+    drawHistogram,
+    createToleranceAnalysis
+};
+
+})();
@@ -0,0 +1,108 @@
+'use strict';
+
+/**
+ * Two-Inductor Converter Utilities
+ *
+ * Ripple and stress calculations shared by the SEPIC and Ćuk calculators.
+ * Both topologies apply Vin across each inductor during Ton and -(Vout + Vf)
+ * during Toff, with a coupling capacitor carrying IL2 during Ton and IL1
+ * during Toff. They differ only in the coupling capacitor's DC voltage
+ * (Vin for the SEPIC, Vin + |Vout| for the Ćuk), which the caller passes in.
+ *
+ * Key Equations (CCM, diode rectifier):
+ * - Coupled Ripple (M = k · √(L1 · L2), both windings see the same voltage):
+ *   ΔIL1 = Vin · D · (L2 - M) / ((L1 · L2 - M²) · fsw),
+ *   ΔIL2 = Vin · D · (L1 - M) / ((L1 · L2 - M²) · fsw)
+ * - Coupling Capacitor Ripple: ΔVc = Iout · D / (Cc · fsw)
+ * - Switch and Diode Peak Current: IL1(peak) + IL2(peak)
+ * - Switch Voltage: Vin + Vout + Vf, Diode Reverse Voltage: Vin + Vout
+ *
+ * Usage:
+ * - twoInductor.calculateRipple(params) returns both winding ripples.
+ * - twoInductor.calculateStresses(params) returns capacitor, switch and diode stresses.
+ */
+
+(function() {
+
+/**
+ * Calculates the signed peak-to-peak ripple of each inductor winding.
+ *
+ * @param {Object} p - Operating point
+ * @param {number} p.vin - Input voltage (V)
+ * @param {number} p.dutyCycle - Duty cycle (0-1)
+ * @param {number} p.l1 - Input inductance (µH)
+ * @param {number} p.l2 - Output-side inductance (µH)
+ * @param {number} p.k - Coupling coefficient (0 for uncoupled inductors)
+ * @param {number} p.fsw - Switching frequency (MHz)
+ * @returns {{ripple1: number, ripple2: number, leff1: number, leff2: number}|null}
+ *   Ripples (A) and effective inductances (µH, Infinity when the ripple is steered away)
+ */
+function calculateRipple(p) {
+    const fswHz = utils.mhzToHz(p.fsw);
+    const l1 = p.l1 / utils.constants.MICRO;
+    const l2 = p.l2 / utils.constants.MICRO;
+    const m = p.k * Math.sqrt(l1 * l2);
+    const det = l1 * l2 - m * m;
+    if (fswHz === 0 || det <= 0) return null;
+
+    const voltSeconds = p.vin * p.dutyCycle / fswHz;
+    const ripple1 = voltSeconds * (l2 - m) / det;
+    const ripple2 = voltSeconds * (l1 - m) / det;
+    const leff = (ripple) => ripple === 0 ? Infinity : voltSeconds / ripple * utils.constants.MICRO;
+    return { ripple1, ripple2, leff1: leff(ripple1), leff2: leff(ripple2) };
+}
+
+/**
+ * Calculates coupling capacitor, switch and diode stresses.
+ *
+ * @param {Object} p - Operating point
+ * @param {number} p.vin - Input voltage (V)
+ * @param {number} p.vout - Output voltage magnitude (V)
+ * @param {number} p.vf - Diode forward voltage (V)
+ * @param {number} p.vc - Coupling capacitor DC voltage (V)
+ * @param {number} p.iout - Output current (A)
+ * @param {number} p.cc - Coupling capacitance (µF)
+ * @param {number} p.fsw - Switching frequency (MHz)
+ * @param {number} p.dutyCycle - Duty cycle (0-1)
+ * @param {number} p.il1 - Average L1 current (A)
+ * @param {number} p.il2 - Average L2 current (A)
+ * @param {number} p.ripple1 - Signed L1 ripple (A)
+ * @param {number} p.ripple2 - Signed L2 ripple (A)
+ * @returns {Object} - { vc, dvc, iccRms, vsw, iswPk, iswRms, vd, idPk, idRms }
+ */
+function calculateStresses(p) {
+    const d = p.dutyCycle;
+    const fswHz = utils.mhzToHz(p.fsw);
+    const ccF = p.cc / utils.constants.MICRO;
+
+    const il1Start = p.il1 - p.ripple1 / 2;
+    const il1End = p.il1 + p.ripple1 / 2;
+    const il2Start = p.il2 - p.ripple2 / 2;
+    const il2End = p.il2 + p.ripple2 / 2;
+
+    // The switch (Ton) and the diode (Toff) both carry IL1 + IL2
+    const iswPk = Math.max(il1Start + il2Start, il1End + il2End);
+    const sumMeanSquare = (fraction) => utils.segmentMeanSquare(fraction, il1Start + il2Start, il1End + il2End);
+
+    // Cc carries IL2 (reversed) during Ton and IL1 during Toff
+    const iccMeanSquare = utils.segmentMeanSquare(d, il2Start, il2End) + utils.segmentMeanSquare(1 - d, il1Start, il1End);
+
+    return {
+        vc: p.vc,
+        dvc: ccF * fswHz > 0 ? p.iout * d / (ccF * fswHz) : null,
+        iccRms: Math.sqrt(iccMeanSquare),
+        vsw: p.vin + p.vout + p.vf,
+        iswPk,
+        iswRms: Math.sqrt(sumMeanSquare(d)),
+        vd: p.vin + p.vout,
+        idPk: iswPk,
+        idRms: Math.sqrt(sumMeanSquare(1 - d))
+    };
+}
+
+window.twoInductor = {
+    calculateRipple,
+    calculateStresses
+};
+
+})();
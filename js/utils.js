@@ -14,7 +14,7 @@ const NANO_CONVERSION_FACTOR = 1e9;  // For nH, ns, etc.
 const KILO_CONVERSION_FACTOR = 1e3;  // For kHz, kΩ, etc.
 const MEGA_CONVERSION_FACTOR = 1e6;  // For MHz, MΩ, etc.
 
-// Common Solver Parameters (if applicable)
+// Common Solver Parameters (used by solveFixedPoint)
 const ITERATION_LIMIT = 10;          // Default max iterations for solvers
 const CONVERGENCE_THRESHOLD = 0.001; // Default tolerance for solvers
 
@@ -311,6 +311,55 @@ function utils_findClosestValueIndex_binarySearch(sortedArray, targetValue) {
     return finalClosestIndex;
 }
 
+/**
+ * Iterates x = update(x) until successive estimates agree within the tolerance
+ *
+ * @param {function(number): (number|null)} update - Returns the next estimate,
+ *   or null when the current estimate is not a valid operating point
+ * @param {number} initial - Starting estimate
+ * @param {Object} [options]
+ * @param {number} [options.maxIterations=ITERATION_LIMIT] - Iteration cap
+ * @param {number} [options.tolerance=CONVERGENCE_THRESHOLD] - Absolute change
+ *   between estimates that counts as converged
+ * @returns {{value: (number|null), iterations: number, converged: boolean}}
+ *
+ * @example
+ * // Duty cycle whose switch drop depends on the duty cycle itself
+ * const { value: duty } = utils.solveFixedPoint(d => dutyFromDrop(dropAt(d)), idealDuty);
+ */
+function solveFixedPoint(update, initial, options = {}) {
+    const maxIterations = options.maxIterations || ITERATION_LIMIT;
+    const tolerance = options.tolerance || CONVERGENCE_THRESHOLD;
+
+    let value = initial;
+    for (let i = 1; i <= maxIterations; i++) {
+        const next = update(value);
+        if (next === null || !isFinite(next)) {
+            return { value: null, iterations: i, converged: false };
+        }
+        const change = Math.abs(next - value);
+        value = next;
+        if (change < tolerance) {
+            return { value, iterations: i, converged: true };
+        }
+    }
+    debugLog('solveFixedPoint: no convergence after', maxIterations, 'iterations');
+    return { value, iterations: maxIterations, converged: false };
+}
+
+/**
+ * Mean-square current of a linear segment from ivalley to ipk, weighted by
+ * the fraction of the period it occupies
+ *
+ * @param {number} fraction - Fraction of the switching period (0-1)
+ * @param {number} ivalley - Current at the start of the segment
+ * @param {number} ipk - Current at the end of the segment
+ * @returns {number} Contribution to the period mean-square current
+ */
+function segmentMeanSquare(fraction, ivalley, ipk) {
+    return fraction * (ivalley * ivalley + ivalley * ipk + ipk * ipk) / 3;
+}
+
 // Logging helper that respects debug mode
 function debugLog(...args) {
     if (DEBUG_MODE) {
@@ -329,6 +378,8 @@ window.utils = {
     getStandardValues: utils_getStandardValues,
     formatResistorValue: formatResistorValue,
     findClosestValueIndex: utils_findClosestValueIndex_binarySearch,
+    solveFixedPoint,
+    segmentMeanSquare,
     debugLog,
     // Export constants for use in other modules
     constants: {